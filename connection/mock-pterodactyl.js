@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// Local stand-in for the Pterodactyl client API, for testing the panel integration
+// without a real panel. Point the server's panel.url (or the pterodactyl_url setting)
+// at http://localhost:<port> and use any identifier with the printed API key.
+
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_PTERODACTYL_PORT) || 8090;
+const API_KEY = process.env.MOCK_PTERODACTYL_KEY || 'ptlc_mock_key';
+
+const app = express();
+app.use(express.json());
+
+// identifier -> simulated server
+const servers = new Map();
+
+function getServer(identifier) {
+    if (!servers.has(identifier)) {
+        servers.set(identifier, {
+            state: 'running',
+            startedAt: Date.now(),
+            limits: { memory: 4096, swap: 0, disk: 10240, io: 500, cpu: 200 },
+            network: { rx: 0, tx: 0 }
+        });
+    }
+    return servers.get(identifier);
+}
+
+function sendError(res, status, code, detail) {
+    res.status(status).json({
+        errors: [{ code, status: String(status), detail }]
+    });
+}
+
+app.use('/api/client', (req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+        return sendError(res, 401, 'AuthenticationException', 'Unauthenticated.');
+    }
+    next();
+});
+
+app.get('/api/client/servers/:identifier', (req, res) => {
+    const server = getServer(req.params.identifier);
+    res.json({
+        object: 'server',
+        attributes: {
+            server_owner: true,
+            identifier: req.params.identifier,
+            uuid: `${req.params.identifier}-0000-0000-0000-000000000000`,
+            name: `Mock ${req.params.identifier}`,
+            node: 'mock-node',
+            limits: server.limits,
+            is_suspended: false,
+            is_installing: false
+        }
+    });
+});
+
+app.get('/api/client/servers/:identifier/resources', (req, res) => {
+    const server = getServer(req.params.identifier);
+    const running = server.state === 'running';
+
+    if (running) {
+        server.network.rx += Math.floor(Math.random() * 500000);
+        server.network.tx += Math.floor(Math.random() * 2000000);
+    }
+
+    res.json({
+        object: 'stats',
+        attributes: {
+            current_state: server.state,
+            is_suspended: false,
+            resources: {
+                memory_bytes: running ? Math.floor((1500 + Math.random() * 1500) * 1024 * 1024) : 0,
+                cpu_absolute: running ? Math.round(Math.random() * 150 * 100) / 100 : 0,
+                disk_bytes: 3.5 * 1024 * 1024 * 1024,
+                network_rx_bytes: server.network.rx,
+                network_tx_bytes: server.network.tx,
+                uptime: running ? Date.now() - server.startedAt : 0
+            }
+        }
+    });
+});
+
+app.post('/api/client/servers/:identifier/power', (req, res) => {
+    const server = getServer(req.params.identifier);
+    const signal = req.body && req.body.signal;
+
+    switch (signal) {
+        case 'start':
+        case 'restart':
+            server.state = 'starting';
+            setTimeout(() => {
+                server.state = 'running';
+                server.startedAt = Date.now();
+            }, 3000);
+            break;
+        case 'stop':
+            server.state = 'stopping';
+            setTimeout(() => { server.state = 'offline'; }, 3000);
+            break;
+        case 'kill':
+            server.state = 'offline';
+            break;
+        default:
+            return sendError(res, 422, 'ValidationException', 'The selected signal is invalid.');
+    }
+
+    console.log(`⚡ ${req.params.identifier}: ${signal} -> ${server.state}`);
+    res.status(204).end();
+});
+
+app.listen(PORT, () => {
+    console.log(`
+╔══════════════════════════════════════════════╗
+║          MOCK PTERODACTYL PANEL              ║
+╚══════════════════════════════════════════════╝
+`);
+    console.log(`🌐 URL     : http://localhost:${PORT}`);
+    console.log(`🔑 API key : ${API_KEY}`);
+    console.log('   Semua identifier server diterima.\n');
+});
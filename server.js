@@ -9,6 +9,12 @@ const TelegramBot = require('node-telegram-bot-api');
 const qrcode = require('qrcode-terminal');
 const { Server } = require('socket.io');
 const http = require('http');
+const dgram = require('dgram');
+const net = require('net');
+const dns = require('dns');
+const tls = require('tls');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
@@ -18,6 +24,11 @@ const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
+// Only the environment decides where remediation scripts may run from, never a setting
+const REMEDIATION_SCRIPT_DIR = path.resolve(process.env.REMEDIATION_SCRIPT_DIR || path.join(__dirname, 'scripts'));
+// Server directories watched for logs must be inside this root, log watching is off without it
+const SERVER_LOG_ROOT = process.env.SERVER_LOG_ROOT ? path.resolve(process.env.SERVER_LOG_ROOT) : null;
+
 // Initialize Express
 const app = express();
 const server = http.createServer(app);
@@ -39,18 +50,22 @@ app.use(express.static('public'));
 // Rate Limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // Heartbeats are authenticated by their token and arrive every minute
+    skip: (req) => req.path.startsWith('/heartbeat/')
 });
 app.use('/api/', limiter);
 
-// MongoDB Connection
+// MongoDB Connection (not when the tests require this file)
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/forexter';
-mongoose.connect(MONGODB_URI, {
-    useNewUrlParser: true,
-    useUnifiedTopology: true,
-})
-.then(() => console.log('✅ MongoDB Connected'))
-.catch(err => console.error('❌ MongoDB Error:', err));
+if (require.main === module) {
+    mongoose.connect(MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+    })
+    .then(() => console.log('✅ MongoDB Connected'))
+    .catch(err => console.error('❌ MongoDB Error:', err));
+}
 
 // Database Models
 const userSchema = new mongoose.Schema({
@@ -67,34 +82,284 @@ const userSchema = new mongoose.Schema({
 
 const serverSchema = new mongoose.Schema({
     name: { type: String, required: true },
-    address: { type: String, required: true },
-    port: { type: Number, required: true },
+    address: {
+        type: String,
+        required: function () {
+            return this.type !== 'heartbeat';
+        }
+    },
+    port: {
+        type: Number,
+        required: function () {
+            return ['bedrock', 'java', 'tcp'].includes(this.type);
+        }
+    },
+    // bedrock, java, http, tcp, dns, tls or heartbeat
     type: { type: String, default: 'bedrock' },
+    tags: [String],
+    // Host machine or panel node, outages on the same node are grouped into one incident
+    node: String,
     apiEndpoint: String,
+    apiFallback: Boolean,
+    query: {
+        enabled: { type: Boolean, default: false },
+        port: Number
+    },
+    http: {
+        url: String,
+        method: { type: String, default: 'GET' },
+        expectedStatus: { type: [Number], default: undefined },
+        keyword: String,
+        invertKeyword: { type: Boolean, default: false },
+        headers: Object,
+        followRedirects: { type: Boolean, default: true }
+    },
+    dns: {
+        recordType: { type: String, default: 'A' },
+        expected: { type: [String], default: undefined },
+        resolver: String
+    },
+    tls: {
+        warnDays: { type: Number, default: 14 },
+        servername: String
+    },
+    resolver: {
+        srvLookup: { type: Boolean, default: true },
+        detectChanges: { type: Boolean, default: true },
+        expectedAddresses: { type: [String], default: undefined }
+    },
+    resolvedEndpoint: Object,
+    heartbeat: {
+        token: String,
+        // Seconds between reports the plugin is configured for, plus slack
+        interval: { type: Number, default: 60 },
+        grace: { type: Number, default: 30 },
+        lastReceivedAt: Date,
+        lastIp: String,
+        lastStatus: Object
+    },
+    rcon: {
+        enabled: { type: Boolean, default: false },
+        // Defaults to the server address
+        host: String,
+        port: { type: Number, default: 25575 },
+        password: { type: String, select: false },
+        collectPerformance: { type: Boolean, default: true },
+        // Minutes between TPS/entity/chunk collections
+        performanceInterval: Number,
+        performanceCommands: { type: [String], default: undefined }
+    },
+    // Actions run while a server_offline incident stays open
+    remediation: [{
+        type: { type: String, enum: ['http', 'rcon', 'panel_restart', 'script'], required: true },
+        enabled: { type: Boolean, default: true },
+        afterMinutes: { type: Number, default: 5 },
+        maxAttempts: { type: Number, default: 1 },
+        cooldownMinutes: { type: Number, default: 10 },
+        timeout: { type: Number, default: 30000 },
+        // http
+        url: String,
+        method: { type: String, default: 'POST' },
+        headers: Object,
+        body: mongoose.Schema.Types.Mixed,
+        // rcon
+        command: String,
+        // script, a file name inside REMEDIATION_SCRIPT_DIR. It gets the server through
+        // SERVER_* environment variables, there are no arguments.
+        script: String
+    }],
+    // Last run per remediation action id, so cooldowns hold across incidents
+    remediationState: { type: Object, default: {} },
+    // Locally mounted server directory (relative to SERVER_LOG_ROOT) with logs/latest.log and crash-reports
+    logs: {
+        enabled: { type: Boolean, default: false },
+        path: String,
+        // Relative to path, defaults to logs/latest.log
+        logFile: String,
+        excerptLines: { type: Number, default: 20 },
+        // Added to (or overriding by key) the log_patterns setting
+        patterns: [{
+            _id: false,
+            key: String,
+            name: String,
+            pattern: String,
+            flags: String,
+            severity: String,
+            enabled: Boolean
+        }]
+    },
+    panel: {
+        // Falls back to the pterodactyl_url setting
+        url: String,
+        identifier: String,
+        apiKey: { type: String, select: false },
+        collectResources: { type: Boolean, default: true }
+    },
     isActive: { type: Boolean, default: true },
     checkInterval: { type: Number, default: 10 },
     lastStatus: Object,
+    alerting: {
+        failuresToOpen: Number,
+        successesToClose: Number,
+        // Per issue type overrides, e.g. { high_latency: { failuresToOpen: 5 } }
+        issues: Object,
+        flapDetection: { type: Boolean, default: true },
+        // Overrides the change_notifications setting for this server
+        notifyChanges: Boolean
+    },
+    alertState: { type: Object, default: {} },
+    flapping: { type: Boolean, default: false },
     stats: {
         totalChecks: { type: Number, default: 0 },
         uptimeChecks: { type: Number, default: 0 },
-        totalDowntime: { type: Number, default: 0 }
+        totalDowntime: { type: Number, default: 0 },
+        peakPlayers: { type: Number, default: 0 },
+        peakPlayersAt: Date
     },
     createdAt: { type: Date, default: Date.now }
 });
 
+// Secrets that are never sent back to clients and kept when an update leaves them out
+const SERVER_SECRETS = { rcon: 'password', panel: 'apiKey', heartbeat: 'token' };
+
+serverSchema.index({ 'heartbeat.token': 1 }, { sparse: true });
+
+serverSchema.pre('save', function (next) {
+    if (this.type === 'heartbeat' && !this.heartbeat.token) {
+        this.heartbeat.token = generateHeartbeatToken();
+    }
+    next();
+});
+
+serverSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        for (const [group, field] of Object.entries(SERVER_SECRETS)) {
+            if (ret[group]) delete ret[group][field];
+        }
+        return ret;
+    }
+});
+
 const incidentSchema = new mongoose.Schema({
     serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
     type: String,
+    // sha1 of server + type + labels, one open incident per fingerprint
+    fingerprint: String,
+    labels: Object,
+    occurrences: { type: Number, default: 1 },
+    lastSeenAt: { type: Date, default: Date.now },
     title: String,
     description: String,
     severity: { type: String, default: 'info' },
+    // active, acknowledged or resolved
     status: { type: String, default: 'active' },
+    acknowledgedAt: Date,
+    acknowledgedBy: String,
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     resolvedAt: Date,
     data: Object,
     notificationsSent: { type: Boolean, default: false },
+    lastNotifiedAt: Date,
+    // Set on incidents grouped under a correlated parent incident
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' },
+    // Parent incidents only: what the grouped servers share
+    group: {
+        key: String,
+        label: String,
+        serverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Server' }]
+    },
+    // Notifications are held until pendingUntil while related incidents may still come in
+    correlation: {
+        keys: { type: [String], default: undefined },
+        pendingUntil: Date
+    },
+    // Progress through the escalation policy, driven by EscalationRunner
+    escalation: {
+        policyId: { type: mongoose.Schema.Types.ObjectId, ref: 'EscalationPolicy' },
+        policyName: String,
+        startedAt: Date,
+        nextStep: Number,
+        nextAt: Date,
+        completedAt: Date
+    },
+    timeline: [{
+        _id: false,
+        at: { type: Date, default: Date.now },
+        type: { type: String },
+        message: String,
+        data: Object
+    }],
     createdAt: { type: Date, default: Date.now }
 });
 
+// Acknowledged incidents are still open, only their reminders stop
+const OPEN_INCIDENT_STATUSES = ['active', 'acknowledged'];
+
+incidentSchema.index({ status: 1, 'escalation.nextAt': 1 });
+// Open incidents have no resolvedAt, so only one of them can exist per fingerprint
+incidentSchema.index({ fingerprint: 1, resolvedAt: 1 }, {
+    unique: true,
+    partialFilterExpression: { fingerprint: { $exists: true } }
+});
+incidentSchema.index({ status: 1, 'correlation.pendingUntil': 1 });
+incidentSchema.index({ parentId: 1 });
+
+const escalationPolicySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: String,
+    // Empty lists match every server / severity
+    serverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Server' }],
+    severities: [{ type: String, enum: ['info', 'warning', 'critical'] }],
+    steps: [{
+        _id: false,
+        // Minutes after the escalation started
+        delayMinutes: { type: Number, default: 0, min: 0 },
+        channels: [{ type: String, enum: ['telegram', 'whatsapp', 'email'] }],
+        target: { type: String, enum: ['subscribers', 'admin', 'on_call', 'all_users', 'users', 'custom'], default: 'subscribers' },
+        // on_call: defaults to the schedule covering the server
+        scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'OnCallSchedule' },
+        userIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        recipients: {
+            email: [String],
+            whatsapp: [String],
+            telegram: [String]
+        }
+    }],
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const onCallScheduleSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: String,
+    timezone: { type: String, default: 'UTC' },
+    // Empty means the schedule covers every server
+    serverIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Server' }],
+    layers: [{
+        name: String,
+        // Overrides the schedule timezone for this layer
+        timezone: String,
+        users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        rotationType: { type: String, enum: ['daily', 'weekly'], default: 'weekly' },
+        // Days or weeks per shift
+        shiftLength: { type: Number, default: 1, min: 1 },
+        // The first shift starts on this day at handoffTime; weekly handoffs keep its weekday
+        rotationStart: { type: Date, required: true },
+        handoffTime: { type: String, default: '09:00' }
+    }],
+    overrides: [{
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true },
+        reason: String,
+        createdBy: String
+    }],
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
 const notificationSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     type: String,
@@ -132,6 +397,102 @@ const backupSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now }
 });
 
+// Raw check results, expired through the TTL index on expiresAt
+const checkSampleSchema = new mongoose.Schema({
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    timestamp: { type: Date, default: Date.now },
+    online: Boolean,
+    responseTime: Number,
+    players: Number,
+    maxPlayers: Number,
+    protocol: Number,
+    error: String,
+    expiresAt: Date
+});
+checkSampleSchema.index({ serverId: 1, timestamp: -1 });
+checkSampleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hourly and daily aggregates, updated incrementally on every check
+const checkRollupSchema = new mongoose.Schema({
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    resolution: { type: String, enum: ['hour', 'day'] },
+    bucket: Date,
+    checks: { type: Number, default: 0 },
+    onlineChecks: { type: Number, default: 0 },
+    latencySum: { type: Number, default: 0 },
+    latencyCount: { type: Number, default: 0 },
+    latencyMin: Number,
+    latencyMax: Number,
+    playersSum: { type: Number, default: 0 },
+    playersPeak: { type: Number, default: 0 },
+    expiresAt: Date
+});
+checkRollupSchema.index({ serverId: 1, resolution: 1, bucket: 1 }, { unique: true });
+checkRollupSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const playerSessionSchema = new mongoose.Schema({
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    playerName: { type: String, required: true },
+    playerUuid: String,
+    startedAt: { type: Date, default: Date.now },
+    endedAt: Date,
+    duration: Number,
+    endReason: String
+});
+playerSessionSchema.index({ serverId: 1, endedAt: 1 });
+playerSessionSchema.index({ serverId: 1, startedAt: -1 });
+playerSessionSchema.index({ playerName: 1, startedAt: -1 });
+playerSessionSchema.index({ playerUuid: 1, startedAt: -1 });
+
+const maintenanceWindowSchema = new mongoose.Schema({
+    title: { type: String, default: 'Scheduled maintenance' },
+    description: String,
+    // No serverId means the window covers every server
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server', default: null },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    recurrence: { type: String, enum: ['none', 'daily', 'weekly'], default: 'none' },
+    recurrenceEnd: Date,
+    isActive: { type: Boolean, default: true },
+    createdBy: String,
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Version, MOTD, max players and icon changes detected between checks
+const serverChangeSchema = new mongoose.Schema({
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    field: { type: String, enum: ['version', 'protocol', 'motd', 'maxPlayers', 'icon'] },
+    previous: mongoose.Schema.Types.Mixed,
+    current: mongoose.Schema.Types.Mixed,
+    title: String,
+    description: String,
+    severity: { type: String, default: 'info' },
+    notificationsSent: { type: Boolean, default: false },
+    suppressed: String,
+    detectedAt: { type: Date, default: Date.now }
+});
+serverChangeSchema.index({ serverId: 1, detectedAt: -1 });
+
+const alertRuleSchema = new mongoose.Schema({
+    key: { type: String, required: true },
+    name: String,
+    metric: { type: String, required: true },
+    comparator: { type: String, enum: ['gt', 'gte', 'lt', 'lte', 'eq', 'neq'], required: true },
+    threshold: mongoose.Schema.Types.Mixed,
+    duration: { type: Number, default: 0 },
+    severity: { type: String, enum: ['info', 'warning', 'critical'], default: 'warning' },
+    title: String,
+    description: String,
+    scope: { type: String, enum: ['global', 'server', 'tag'], default: 'global' },
+    serverId: { type: mongoose.Schema.Types.ObjectId, ref: 'Server' },
+    tag: String,
+    serverTypes: [String],
+    isActive: { type: Boolean, default: true },
+    isDefault: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
 // Create Models
 const User = mongoose.model('User', userSchema);
 const ServerModel = mongoose.model('Server', serverSchema);
@@ -140,6 +501,14 @@ const Notification = mongoose.model('Notification', notificationSchema);
 const Setting = mongoose.model('Setting', settingSchema);
 const Log = mongoose.model('Log', logSchema);
 const Backup = mongoose.model('Backup', backupSchema);
+const CheckSample = mongoose.model('CheckSample', checkSampleSchema);
+const CheckRollup = mongoose.model('CheckRollup', checkRollupSchema);
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+const PlayerSession = mongoose.model('PlayerSession', playerSessionSchema);
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+const ServerChange = mongoose.model('ServerChange', serverChangeSchema);
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+const OnCallSchedule = mongoose.model('OnCallSchedule', onCallScheduleSchema);
 
 // WhatsApp Client
 let whatsappClient = null;
@@ -184,6 +553,27 @@ async function logEvent(level, source, message, data = {}, ip = 'system') {
     }
 }
 
+// Same server, issue type and labels give the same fingerprint, across restarts
+function getIncidentFingerprint(serverId, type, labels = {}) {
+    const labelText = Object.keys(labels || {})
+        .sort()
+        .map(key => `${key}=${labels[key]}`)
+        .join(',');
+    return crypto.createHash('sha1').update(`${serverId}|${type}|${labelText}`).digest('hex');
+}
+
+async function appendTimeline(incident, type, message, data = {}) {
+    const entry = { at: new Date(), type, message, data };
+    incident.timeline.push(entry);
+    await incident.save();
+
+    io.emit('incident-timeline', {
+        incidentId: incident._id,
+        entry
+    });
+    return entry;
+}
+
 async function getSetting(key, defaultValue = null) {
     try {
         const setting = await Setting.findOne({ key });
@@ -212,6 +602,136 @@ async function setSetting(key, value, description = '') {
     }
 }
 
+function generateHeartbeatToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getServerEndpoint(server) {
+    switch (server.type) {
+        case 'http': return server.http?.url || server.address;
+        case 'dns': return server.address;
+        case 'tls': return `${server.address}:${server.port || 443}`;
+        case 'heartbeat': return server.address || 'heartbeat';
+        default: return `${server.address}:${server.port}`;
+    }
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Telegram rejects Markdown messages with unbalanced _, *, ` or [ from user data
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([_*`\[])/g, '\\$1');
+}
+
+// Query string limit, falling back to the default when missing or not a number
+function parseLimit(value, defaultValue, max) {
+    const limit = parseInt(value);
+    return Number.isNaN(limit) ? defaultValue : Math.min(Math.max(limit, 1), max);
+}
+
+// Parse "90", "45m", "2h", "1h30m" or "1d" into milliseconds (plain numbers are minutes)
+function parseDuration(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (/^\d+$/.test(value)) {
+        return parseInt(value) * 60 * 1000;
+    }
+
+    const units = { d: 86400000, h: 3600000, m: 60000, s: 1000 };
+    const parts = value.match(/^(\d+[dhms])+$/) ? value.match(/\d+[dhms]/g) : null;
+    if (!parts) return null;
+
+    return parts.reduce((total, part) => total + parseInt(part) * units[part.slice(-1)], 0);
+}
+
+async function findServerByName(name) {
+    // An empty pattern would match every server
+    if (!name || !name.trim()) return null;
+
+    const exact = await ServerModel.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+    if (exact) return exact;
+
+    const partial = await ServerModel.find({ name: new RegExp(escapeRegex(name), 'i') });
+    if (partial.length === 1) return partial[0];
+
+    return await ServerModel.findOne({ address: name.toLowerCase() });
+}
+
+async function isTelegramAdmin(chatId) {
+    const adminChats = await getSetting('telegram_admin_chats', []);
+    if (Array.isArray(adminChats) && adminChats.map(String).includes(String(chatId))) {
+        return true;
+    }
+
+    const admin = await User.findOne({
+        telegramChatId: String(chatId),
+        role: 'admin',
+        isActive: true
+    });
+    return !!admin;
+}
+
+// Maintenance Windows
+// Expand one-off and recurring windows into concrete occurrences overlapping [from, to]
+function expandMaintenanceWindows(windows, from, to) {
+    const occurrences = [];
+
+    for (const window of windows) {
+        const duration = window.endsAt - window.startsAt;
+        if (!(duration > 0)) continue;
+
+        if (window.recurrence === 'none' || !window.recurrence) {
+            if (window.startsAt <= to && window.endsAt >= from) {
+                occurrences.push({ window, start: window.startsAt, end: window.endsAt });
+            }
+            continue;
+        }
+
+        const unit = window.recurrence === 'weekly' ? 'weeks' : 'days';
+        const periodMs = unit === 'weeks' ? 7 * 86400000 : 86400000;
+        let index = Math.max(0, Math.floor((from - window.startsAt - duration) / periodMs));
+
+        while (true) {
+            const start = moment(window.startsAt).add(index, unit).toDate();
+            if (start > to || (window.recurrenceEnd && start > window.recurrenceEnd)) break;
+
+            const end = new Date(start.getTime() + duration);
+            if (end >= from) {
+                occurrences.push({ window, start, end });
+            }
+            index += 1;
+        }
+    }
+
+    return occurrences.sort((a, b) => a.start - b.start);
+}
+
+async function getMaintenanceWindows(server, from, to) {
+    const windows = await MaintenanceWindow.find({
+        isActive: true,
+        $or: [{ serverId: null }, { serverId: server._id }],
+        startsAt: { $lte: to }
+    });
+    return expandMaintenanceWindows(windows, from, to);
+}
+
+async function getActiveMaintenance(server, at = new Date()) {
+    const occurrences = await getMaintenanceWindows(server, at, at);
+    if (occurrences.length === 0) return null;
+
+    // Report the occurrence that runs the longest
+    return occurrences.reduce((latest, occurrence) => (occurrence.end > latest.end ? occurrence : latest));
+}
+
 // Initialize WhatsApp
 async function initializeWhatsApp() {
     try {
@@ -351,7 +871,13 @@ async function handleTelegramCommand(chatId, text, msg) {
                     `/subscribe - Daftar menerima notifikasi\n` +
                     `/unsubscribe - Berhenti notifikasi\n` +
                     `/alerts - Lihat alert aktif\n` +
+                    `/ack - Tangani alert\n` +
+                    `/oncall - Siapa yang bertugas\n` +
                     `/uptime - Statistik uptime server\n` +
+                    `/stats - Aktivitas pemain 7 hari terakhir\n` +
+                    `/maintenance - Jadwal maintenance (admin)\n` +
+                    `/rcon - Jalankan perintah konsol (admin)\n` +
+                    `/power - Start/stop/restart server (admin)\n` +
                     `/help - Tampilkan bantuan\n\n` +
                     `_Server: basic-6.alstore.space:25710_`,
                     { parse_mode: 'Markdown' }
@@ -367,16 +893,27 @@ async function handleTelegramCommand(chatId, text, msg) {
 
                 const status = server.lastStatus || {};
                 const isOnline = status.online || false;
+                const maintenance = await getActiveMaintenance(server);
                 
                 let statusMessage = isOnline ? '🟢 *SERVER ONLINE*\n\n' : '🔴 *SERVER OFFLINE*\n\n';
+                if (maintenance) {
+                    statusMessage = '🛠️ *SEDANG MAINTENANCE*\n\n';
+                }
                 statusMessage += `*${server.name}*\n`;
-                statusMessage += `📍 ${server.address}:${server.port}\n`;
+                statusMessage += `📍 ${getServerEndpoint(server)}\n`;
                 statusMessage += `👥 Players: ${status.players?.online || 0}/${status.players?.max || 0}\n`;
                 statusMessage += `📶 Ping: ${status.responseTime || 0}ms\n`;
                 statusMessage += `📊 Version: ${status.version?.name || 'Unknown'}\n`;
-                statusMessage += `🕐 Last Check: ${status.lastCheck ? moment(status.lastCheck).format('DD/MM/YYYY HH:mm:ss') : 'Never'}\n\n`;
+                statusMessage += `🕐 Last Check: ${status.lastCheck ? moment(status.lastCheck).format('DD/MM/YYYY HH:mm:ss') : 'Never'}\n`;
+                if (server.flapping) {
+                    statusMessage += `🔁 Status tidak stabil (flapping), notifikasi ditahan\n`;
+                }
+                statusMessage += `\n`;
                 
-                if (isOnline) {
+                if (maintenance) {
+                    statusMessage += `🛠️ ${maintenance.window.title}\n`;
+                    statusMessage += `⏳ Perkiraan selesai: ${moment(maintenance.end).format('DD/MM/YYYY HH:mm')}`;
+                } else if (isOnline) {
                     statusMessage += `✅ Semua sistem berjalan normal`;
                 } else {
                     statusMessage += `⚠️ Server sedang mengalami masalah`;
@@ -399,21 +936,34 @@ async function handleTelegramCommand(chatId, text, msg) {
                 break;
 
             case '/alerts':
-                const alerts = await Incident.find({ 
-                    status: 'active',
-                    createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
-                }).sort({ createdAt: -1 }).limit(5);
+                // Every open incident, however old: one incident now lasts the whole outage.
+                // Grouped servers are listed in their parent incident.
+                const alertsQuery = { status: { $in: OPEN_INCIDENT_STATUSES }, parentId: null };
+                const [alerts, alertsTotal] = await Promise.all([
+                    Incident.find(alertsQuery).sort({ lastSeenAt: -1 }).limit(5),
+                    Incident.countDocuments(alertsQuery)
+                ]);
 
                 if (alerts.length === 0) {
-                    await telegramBot.sendMessage(chatId, '✅ Tidak ada alert aktif dalam 24 jam terakhir.');
+                    await telegramBot.sendMessage(chatId, '✅ Tidak ada alert aktif.');
                 } else {
                     let alertsMessage = '🚨 *Alert Aktif*\n\n';
                     alerts.forEach((alert, index) => {
                         const timeAgo = moment(alert.createdAt).fromNow();
-                        alertsMessage += `${index + 1}. *${alert.title}*\n`;
-                        alertsMessage += `   ${alert.description}\n`;
-                        alertsMessage += `   ⏰ ${timeAgo}\n\n`;
+                        alertsMessage += `${index + 1}. *${escapeMarkdown(alert.title)}* \`${alert._id.toString().slice(-6)}\`\n`;
+                        alertsMessage += `   ${escapeMarkdown(alert.description)}\n`;
+                        alertsMessage += `   ⏰ ${timeAgo}\n`;
+                        if (alert.occurrences > 1) {
+                            alertsMessage += `   🔁 ${alert.occurrences}x, terakhir ${moment(alert.lastSeenAt).fromNow()}\n`;
+                        }
+                        if (alert.status === 'acknowledged') {
+                            alertsMessage += `   👀 Ditangani oleh ${escapeMarkdown(alert.acknowledgedBy)}\n`;
+                        }
+                        alertsMessage += '\n';
                     });
+                    if (alertsTotal > alerts.length) {
+                        alertsMessage += `_...dan ${alertsTotal - alerts.length} alert lainnya_\n`;
+                    }
                     
                     await telegramBot.sendMessage(chatId, alertsMessage.trim(), { parse_mode: 'Markdown' });
                 }
@@ -423,20 +973,290 @@ async function handleTelegramCommand(chatId, text, msg) {
                 const servers = await ServerModel.find({ isActive: true });
                 let uptimeMessage = '📊 *Statistik Server*\n\n';
                 
+                uptimeMessage += `_Periode: ${moment().startOf('month').format('DD/MM')} - ${moment().format('DD/MM/YYYY')}_\n\n`;
+                
                 for (const srv of servers) {
-                    const uptimePercent = srv.stats.totalChecks > 0 
-                        ? ((srv.stats.uptimeChecks / srv.stats.totalChecks) * 100).toFixed(2)
-                        : 0;
+                    const report = await buildSlaReport(srv, moment().startOf('month').toDate(), new Date());
                     
                     uptimeMessage += `*${srv.name}*\n`;
-                    uptimeMessage += `📈 Uptime: ${uptimePercent}%\n`;
-                    uptimeMessage += `🔍 Checks: ${srv.stats.totalChecks}\n`;
-                    uptimeMessage += `⏱️ Downtime: ${(srv.stats.totalDowntime / 60).toFixed(1)} menit\n\n`;
+                    uptimeMessage += `📈 Uptime: ${report.uptime}%\n`;
+                    uptimeMessage += `🚨 Insiden: ${report.incidents}\n`;
+                    uptimeMessage += `⏱️ Downtime: ${(report.downtime / 60).toFixed(1)} menit\n`;
+                    if (report.mttr !== null) {
+                        uptimeMessage += `🔧 MTTR: ${(report.mttr / 60).toFixed(1)} menit\n`;
+                    }
+                    uptimeMessage += `\n`;
                 }
                 
                 await telegramBot.sendMessage(chatId, uptimeMessage.trim(), { parse_mode: 'Markdown' });
                 break;
 
+            case '/stats':
+                const statsServers = await ServerModel.find({ isActive: true });
+                const statsTo = new Date();
+                const statsFrom = moment(statsTo).subtract(7, 'days').toDate();
+                let statsMessage = '📈 *Aktivitas Pemain (7 hari)*\n\n';
+
+                for (const srv of statsServers) {
+                    const analytics = await getPlayerAnalytics(srv, statsFrom, statsTo);
+                    const dailyRollups = await CheckRollup.find({
+                        serverId: srv._id,
+                        resolution: 'day',
+                        bucket: { $gte: moment(statsFrom).startOf('day').toDate() }
+                    });
+                    const checks = dailyRollups.reduce((sum, r) => sum + r.checks, 0);
+                    const onlineChecks = dailyRollups.reduce((sum, r) => sum + r.onlineChecks, 0);
+
+                    statsMessage += `*${srv.name}*\n`;
+                    statsMessage += `👥 Rata-rata pemain: ${analytics.avgPlayers}\n`;
+                    statsMessage += `🙋 Pemain unik: ${analytics.uniquePlayers}\n`;
+                    if (analytics.recordConcurrency) {
+                        statsMessage += `🏆 Puncak: ${analytics.recordConcurrency.players} pemain (${moment(analytics.recordConcurrency.at).format('DD/MM HH:mm')})\n`;
+                    }
+                    if (analytics.busiestHour) {
+                        statsMessage += `🔥 Jam tersibuk: ${analytics.busiestHour.weekdayName} ${String(analytics.busiestHour.hour).padStart(2, '0')}:00\n`;
+                    }
+                    statsMessage += `📶 Uptime: ${checks > 0 ? ((onlineChecks / checks) * 100).toFixed(2) : 0}%\n\n`;
+                }
+
+                await telegramBot.sendMessage(chatId, statsMessage.trim(), { parse_mode: 'Markdown' });
+                break;
+
+            case '/maintenance':
+                if (!(await isTelegramAdmin(chatId))) {
+                    await telegramBot.sendMessage(chatId, '⛔ Perintah ini hanya untuk admin.');
+                    return;
+                }
+
+                const maintenanceArgs = text.split(' ').slice(1).filter(arg => arg);
+                if (maintenanceArgs.length === 0) {
+                    const upcoming = await MaintenanceWindow.find({ isActive: true }).populate('serverId', 'name');
+                    const occurrences = expandMaintenanceWindows(upcoming, new Date(), moment().add(7, 'days').toDate());
+
+                    if (occurrences.length === 0) {
+                        await telegramBot.sendMessage(chatId, '✅ Tidak ada jadwal maintenance dalam 7 hari ke depan.\n\nPenggunaan: /maintenance <server|all> <durasi>');
+                        return;
+                    }
+
+                    let maintenanceList = '🛠️ *Jadwal Maintenance*\n\n';
+                    occurrences.slice(0, 10).forEach((occurrence) => {
+                        maintenanceList += `*${occurrence.window.title}*\n`;
+                        maintenanceList += `   ${occurrence.window.serverId ? occurrence.window.serverId.name : 'Semua server'}\n`;
+                        maintenanceList += `   ${moment(occurrence.start).format('DD/MM HH:mm')} - ${moment(occurrence.end).format('DD/MM HH:mm')}\n\n`;
+                    });
+                    await telegramBot.sendMessage(chatId, maintenanceList.trim(), { parse_mode: 'Markdown' });
+                    return;
+                }
+
+                const durationArg = maintenanceArgs.pop();
+                const targetName = maintenanceArgs.join(' ');
+                if (!targetName) {
+                    await telegramBot.sendMessage(chatId, 'Penggunaan: /maintenance <server|all> <durasi>\n/maintenance <server|all> stop');
+                    return;
+                }
+                const allServers = ['all', 'semua'].includes(targetName.toLowerCase());
+                const targetServer = allServers ? null : await findServerByName(targetName);
+
+                if (!allServers && !targetServer) {
+                    await telegramBot.sendMessage(chatId, `❌ Server "${targetName}" tidak ditemukan`);
+                    return;
+                }
+
+                // End running ad-hoc windows early
+                if (['stop', 'selesai', 'off'].includes(durationArg.toLowerCase())) {
+                    const ended = await MaintenanceWindow.updateMany(
+                        { serverId: targetServer ? targetServer._id : null, recurrence: 'none', startsAt: { $lte: new Date() }, endsAt: { $gt: new Date() } },
+                        { endsAt: new Date() }
+                    );
+                    await telegramBot.sendMessage(chatId, ended.modifiedCount > 0
+                        ? '✅ Maintenance diakhiri.'
+                        : 'ℹ️ Tidak ada maintenance yang sedang berjalan.');
+                    return;
+                }
+
+                const maintenanceDuration = parseDuration(durationArg);
+                if (!maintenanceDuration) {
+                    await telegramBot.sendMessage(chatId, '❌ Durasi tidak valid. Contoh: 30m, 2h, 1h30m');
+                    return;
+                }
+
+                const maintenanceWindow = await MaintenanceWindow.create({
+                    title: 'Maintenance',
+                    serverId: targetServer ? targetServer._id : null,
+                    startsAt: new Date(),
+                    endsAt: new Date(Date.now() + maintenanceDuration),
+                    createdBy: `telegram:${msg.from.username || chatId}`
+                });
+
+                await logEvent('info', 'Maintenance', `Maintenance started from Telegram for ${targetServer ? targetServer.name : 'all servers'}`, {
+                    windowId: maintenanceWindow._id,
+                    chatId: chatId
+                });
+
+                await telegramBot.sendMessage(chatId,
+                    `🛠️ Maintenance dimulai untuk *${targetServer ? targetServer.name : 'semua server'}*\n` +
+                    `⏳ Selesai: ${moment(maintenanceWindow.endsAt).format('DD/MM/YYYY HH:mm')}\n\n` +
+                    `Notifikasi alert ditahan selama maintenance.`,
+                    { parse_mode: 'Markdown' }
+                );
+                break;
+
+            case '/rcon':
+                if (!(await isTelegramAdmin(chatId))) {
+                    await telegramBot.sendMessage(chatId, '⛔ Perintah ini hanya untuk admin.');
+                    return;
+                }
+
+                const rconArgs = text.split(' ').slice(1).filter(arg => arg);
+                if (rconArgs.length < 2) {
+                    await telegramBot.sendMessage(chatId, 'Penggunaan: /rcon <server> <perintah>\nContoh: /rcon survival list');
+                    return;
+                }
+
+                // Server names may contain spaces: take the longest leading words that name a server
+                let rconServer = null;
+                let rconCommand = null;
+                for (let words = rconArgs.length - 1; words > 0 && !rconServer; words--) {
+                    const candidate = rconArgs.slice(0, words).join(' ');
+                    rconServer = await ServerModel.findOne({ name: new RegExp(`^${escapeRegex(candidate)}$`, 'i') });
+                    rconCommand = rconArgs.slice(words).join(' ');
+                }
+                if (!rconServer) {
+                    rconServer = await findServerByName(rconArgs[0]);
+                    rconCommand = rconArgs.slice(1).join(' ');
+                }
+
+                if (!rconServer) {
+                    await telegramBot.sendMessage(chatId, `❌ Server "${rconArgs[0]}" tidak ditemukan`);
+                    return;
+                }
+                if (!rconServer.rcon || !rconServer.rcon.enabled) {
+                    await telegramBot.sendMessage(chatId, `❌ RCON belum diaktifkan untuk ${rconServer.name}`);
+                    return;
+                }
+
+                try {
+                    const rconResponse = await monitor.executeRcon(rconServer, rconCommand.replace(/^\//, ''), {
+                        name: `telegram:${msg.from.username || chatId}`,
+                        chatId: String(chatId)
+                    });
+                    const rconOutput = rconResponse.trim() || '(tidak ada output)';
+                    await telegramBot.sendMessage(chatId, `💻 ${rconServer.name} > ${rconCommand}\n\n${rconOutput.slice(0, 3500)}`);
+                } catch (error) {
+                    await telegramBot.sendMessage(chatId, `❌ RCON gagal: ${error.message}`);
+                }
+                break;
+
+            case '/power':
+                if (!(await isTelegramAdmin(chatId))) {
+                    await telegramBot.sendMessage(chatId, '⛔ Perintah ini hanya untuk admin.');
+                    return;
+                }
+
+                const powerArgs = text.split(' ').slice(1).filter(arg => arg);
+                const powerSignal = (powerArgs.pop() || '').toLowerCase();
+                if (powerArgs.length === 0 || !PANEL_SIGNALS.includes(powerSignal)) {
+                    await telegramBot.sendMessage(chatId, `Penggunaan: /power <server> <${PANEL_SIGNALS.join('|')}>`);
+                    return;
+                }
+
+                const powerServer = await findServerByName(powerArgs.join(' '));
+                if (!powerServer) {
+                    await telegramBot.sendMessage(chatId, `❌ Server "${powerArgs.join(' ')}" tidak ditemukan`);
+                    return;
+                }
+                if (!powerServer.panel || !powerServer.panel.identifier) {
+                    await telegramBot.sendMessage(chatId, `❌ ${powerServer.name} belum terhubung ke panel`);
+                    return;
+                }
+
+                try {
+                    await monitor.executePower(powerServer, powerSignal, {
+                        name: `telegram:${msg.from.username || chatId}`,
+                        chatId: String(chatId)
+                    });
+                    await telegramBot.sendMessage(chatId, `⚡ Sinyal *${powerSignal}* dikirim ke *${powerServer.name}*`, { parse_mode: 'Markdown' });
+                } catch (error) {
+                    await telegramBot.sendMessage(chatId, `❌ Gagal mengirim sinyal: ${error.message}`);
+                }
+                break;
+
+            case '/ack':
+                const ackUser = await User.findOne({ telegramChatId: String(chatId), isActive: true });
+                if (!ackUser && !(await isTelegramAdmin(chatId))) {
+                    await telegramBot.sendMessage(chatId, '⛔ Hubungkan akun Anda atau minta akses admin untuk acknowledge.');
+                    return;
+                }
+
+                const ackTarget = text.split(' ').slice(1).join(' ').trim();
+                if (!ackTarget) {
+                    await telegramBot.sendMessage(chatId, 'Penggunaan: /ack <id|server>\nID ada di daftar /alerts.');
+                    return;
+                }
+
+                // Short id from /alerts, otherwise every active incident of a server
+                let ackIncidents = [];
+                if (/^[0-9a-f]{4,24}$/i.test(ackTarget)) {
+                    ackIncidents = (await Incident.find({ status: 'active' }).sort({ createdAt: -1 }).limit(200))
+                        .filter(incident => incident._id.toString().endsWith(ackTarget.toLowerCase()));
+                }
+                if (ackIncidents.length === 0) {
+                    const ackServer = await findServerByName(ackTarget);
+                    ackIncidents = ackServer ? await Incident.find({ serverId: ackServer._id, status: 'active' }) : [];
+                }
+
+                if (ackIncidents.length === 0) {
+                    await telegramBot.sendMessage(chatId, `❌ Tidak ada alert aktif untuk "${ackTarget}"`);
+                    return;
+                }
+
+                for (const incident of ackIncidents) {
+                    await monitor.acknowledgeIncident(incident, {
+                        name: ackUser ? ackUser.username : `telegram:${msg.from.username || chatId}`,
+                        userId: ackUser ? ackUser._id : undefined,
+                        chatId: String(chatId)
+                    });
+                }
+
+                await telegramBot.sendMessage(chatId,
+                    `👀 ${ackIncidents.length} alert di-acknowledge:\n` +
+                    ackIncidents.map(incident => `• ${incident.title}`).join('\n') +
+                    '\n\nPengingat untuk alert ini dihentikan.'
+                );
+                break;
+
+            case '/oncall':
+                const schedules = await OnCallSchedule.find({ isActive: true }).sort({ createdAt: 1 });
+                if (schedules.length === 0) {
+                    await telegramBot.sendMessage(chatId, 'ℹ️ Belum ada jadwal on-call.');
+                    return;
+                }
+
+                let onCallMessage = '📟 *Jadwal On-Call*\n\n';
+                for (const schedule of schedules) {
+                    const onCall = await describeOnCall(schedule);
+                    onCallMessage += `*${escapeMarkdown(schedule.name)}*\n`;
+                    if (!onCall.user) {
+                        onCallMessage += '   Tidak ada yang bertugas\n\n';
+                        continue;
+                    }
+
+                    const until = new Intl.DateTimeFormat('id-ID', {
+                        timeZone: onCall.timezone,
+                        dateStyle: 'short',
+                        timeStyle: 'short'
+                    }).format(onCall.shiftEnd);
+                    onCallMessage += `   👤 ${escapeMarkdown(onCall.user.username)}${onCall.source === 'override' ? ' (pengganti)' : ''}\n`;
+                    onCallMessage += `   ⏳ Sampai ${until} (${escapeMarkdown(onCall.timezone)})\n`;
+                    if (onCall.next && onCall.source !== 'override') {
+                        onCallMessage += `   ➡️ Berikutnya: ${escapeMarkdown(onCall.next)}\n`;
+                    }
+                    onCallMessage += '\n';
+                }
+
+                await telegramBot.sendMessage(chatId, onCallMessage.trim(), { parse_mode: 'Markdown' });
+                break;
+
             case '/help':
                 await telegramBot.sendMessage(chatId,
                     '🆘 *Bantuan Bot*\n\n' +
@@ -446,7 +1266,13 @@ async function handleTelegramCommand(chatId, text, msg) {
                     '/subscribe - Daftar notifikasi\n' +
                     '/unsubscribe - Berhenti notifikasi\n' +
                     '/alerts - Lihat alert aktif\n' +
+                    '/ack <id|server> - Tangani alert\n' +
+                    '/oncall - Siapa yang bertugas\n' +
                     '/uptime - Statistik uptime\n' +
+                    '/stats - Aktivitas pemain\n' +
+                    '/maintenance <server> <durasi> - Mulai maintenance (admin)\n' +
+                    '/rcon <server> <perintah> - Perintah konsol (admin)\n' +
+                    '/power <server> <sinyal> - Start/stop/restart/kill (admin)\n' +
                     '/help - Bantuan ini\n\n' +
                     '📞 *Support:*\n' +
                     'Untuk bantuan lebih lanjut, hubungi admin.',
@@ -586,569 +1412,4483 @@ async function sendEmail(to, subject, htmlContent) {
     }
 }
 
-// Server Monitoring System
-class ServerMonitor {
-    constructor() {
-        this.monitoring = new Map();
-        this.incidentCheckers = new Map();
+// Deliver one message on a channel, used by escalation steps
+async function deliverNotification(channel, recipient, subject, message) {
+    switch (channel) {
+        case 'email':
+            return await sendEmail(recipient, subject, `<div style="font-family: Arial, sans-serif;">${escapeHtml(message).replace(/\n/g, '<br>')}</div>`);
+        case 'whatsapp':
+            return await sendWhatsAppMessage(recipient, message);
+        case 'telegram':
+            return await sendTelegramMessage(recipient, escapeMarkdown(message));
+        default:
+            throw new Error(`Unknown channel: ${channel}`);
     }
+}
 
-    async init() {
-        await this.loadServers();
-        logEvent('info', 'Monitor', 'Monitoring system initialized');
+// On-Call Schedules
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = parseInt(part.value);
     }
+    return parts;
+}
 
-    async loadServers() {
-        try {
-            const servers = await ServerModel.find({ isActive: true });
-            console.log(`📊 Loading ${servers.length} servers for monitoring`);
-            
-            for (const server of servers) {
-                await this.startMonitoring(server);
-            }
-        } catch (error) {
-            console.error('Failed to load servers:', error);
-            logEvent('error', 'Monitor', 'Failed to load servers: ' + error.message);
-        }
+// Instant at which the wall clock in timeZone shows the given time (DST aware)
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let instant = wall;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(new Date(instant), timeZone);
+        const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+        instant = wall - offset;
     }
+    return new Date(instant);
+}
 
-    async startMonitoring(server) {
-        if (this.monitoring.has(server._id.toString())) {
-            clearInterval(this.monitoring.get(server._id.toString()));
-        }
+// Shifts are counted in local calendar days, so handoffs stay at handoffTime across DST changes
+function getLayerShift(layer, at, timeZone) {
+    if (!layer.users || layer.users.length === 0 || !layer.rotationStart) {
+        return null;
+    }
 
-        const interval = setInterval(async () => {
-            await this.checkServer(server);
-        }, server.checkInterval * 1000);
+    const [hour, minute] = (layer.handoffTime || '09:00').split(':').map(value => parseInt(value) || 0);
+    const periodDays = (layer.rotationType === 'daily' ? 1 : 7) * (layer.shiftLength || 1);
 
-        this.monitoring.set(server._id.toString(), interval);
-        
-        // Do initial check
-        await this.checkServer(server);
-        
-        logEvent('info', 'Monitor', `Started monitoring ${server.name}`, {
-            serverId: server._id,
-            interval: server.checkInterval
-        });
+    const start = getZonedParts(new Date(layer.rotationStart), timeZone);
+    const startDay = Date.UTC(start.year, start.month - 1, start.day) / DAY_MS;
+
+    const now = getZonedParts(at, timeZone);
+    let today = Date.UTC(now.year, now.month - 1, now.day) / DAY_MS;
+    // Before today's handoff the previous shift is still running
+    if (now.hour * 60 + now.minute < hour * 60 + minute) {
+        today -= 1;
     }
 
-    async checkServer(server) {
-        const startTime = Date.now();
-        let responseTime = 0;
-        
-        try {
-            // Update server stats
-            server.stats.totalChecks += 1;
-            
-            // Try to get server status from mcstatus.io
-            const apiUrl = `https://api.mcstatus.io/v2/status/${server.type}/${server.address}:${server.port}`;
-            const response = await axios.get(apiUrl, { timeout: 10000 });
-            
-            responseTime = Date.now() - startTime;
-            const data = response.data;
-            
-            const status = {
-                online: data.online || false,
-                players: data.players || { online: 0, max: 0, list: [] },
-                version: data.version || { name: 'Unknown', protocol: -1 },
-                motd: data.motd || { clean: 'No MOTD' },
-                icon: data.icon || null,
-                responseTime: responseTime,
-                lastCheck: new Date(),
-                rawData: data
-            };
+    const elapsedDays = today - startDay;
+    if (elapsedDays < 0) {
+        return null;
+    }
 
-            // Update server record
-            server.lastStatus = status;
-            
-            if (status.online) {
-                server.stats.uptimeChecks += 1;
-            } else {
-                server.stats.totalDowntime += server.checkInterval;
-            }
-            
-            await server.save();
+    const index = Math.floor(elapsedDays / periodDays);
+    const shiftStartDay = startDay + index * periodDays;
+    const handoffAt = (dayNumber) => {
+        const date = new Date(dayNumber * DAY_MS);
+        return zonedTimeToUtc(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate(), hour, minute, timeZone);
+    };
 
-            // Emit to WebSocket
-            io.emit('server-update', {
-                serverId: server._id,
-                status: status,
-                timestamp: new Date()
-            });
+    return {
+        userId: layer.users[index % layer.users.length],
+        nextUserId: layer.users[(index + 1) % layer.users.length],
+        start: handoffAt(shiftStartDay),
+        end: handoffAt(shiftStartDay + periodDays)
+    };
+}
 
-            // Check for issues
-            await this.checkForIssues(server, status);
+// Overrides win, then the last layer that has started (later layers sit on top)
+function getOnCall(schedule, at = new Date()) {
+    const override = (schedule.overrides || []).find(entry => entry.startsAt <= at && entry.endsAt > at);
+    if (override) {
+        return {
+            userId: override.userId,
+            source: 'override',
+            reason: override.reason,
+            start: override.startsAt,
+            end: override.endsAt
+        };
+    }
 
-            // Log successful check
-            await logEvent('debug', 'Monitor', `Checked ${server.name}: ${status.online ? 'Online' : 'Offline'}`, {
-                serverId: server._id,
-                online: status.online,
-                players: status.players.online,
-                responseTime: responseTime
-            });
+    const layers = schedule.layers || [];
+    for (let index = layers.length - 1; index >= 0; index--) {
+        const layer = layers[index];
+        const timezone = layer.timezone || schedule.timezone || 'UTC';
+        const shift = getLayerShift(layer, at, timezone);
+        if (shift) {
+            return { ...shift, source: 'layer', layer: layer.name || `Layer ${index + 1}`, timezone };
+        }
+    }
 
-        } catch (error) {
-            responseTime = Date.now() - startTime;
-            
-            // Server is considered offline on error
-            const status = {
-                online: false,
-                error: error.message,
-                responseTime: responseTime,
-                lastCheck: new Date()
-            };
+    return null;
+}
 
-            server.lastStatus = status;
-            server.stats.totalDowntime += server.checkInterval;
-            await server.save();
+function selectOnCallSchedule(schedules, server) {
+    const candidates = schedules.filter(schedule => schedule.isActive !== false
+        && (schedule.serverIds.length === 0 || schedule.serverIds.some(id => id.equals(server._id))));
 
-            // Emit update
-            io.emit('server-update', {
-                serverId: server._id,
-                status: status,
-                timestamp: new Date()
-            });
+    candidates.sort((a, b) => (b.serverIds.length > 0) - (a.serverIds.length > 0) || a.createdAt - b.createdAt);
+    return candidates[0] || null;
+}
 
-            // Check if this is a new offline incident
-            await this.checkForIssues(server, status);
+// The user on call for a server, or for a specific schedule
+async function findOnCallUser(server, scheduleId = null, at = new Date()) {
+    const schedule = scheduleId
+        ? await OnCallSchedule.findById(scheduleId)
+        : selectOnCallSchedule(await OnCallSchedule.find({ isActive: true }), server);
+    if (!schedule) {
+        return null;
+    }
 
-            await logEvent('error', 'Monitor', `Failed to check ${server.name}: ${error.message}`, {
-                serverId: server._id,
-                error: error.message,
-                responseTime: responseTime
-            });
-        }
+    const onCall = getOnCall(schedule, at);
+    if (!onCall) {
+        return null;
     }
 
-    async checkForIssues(server, status) {
-        const issues = [];
-        
-        // Check if server is offline
-        if (!status.online) {
-            issues.push({
-                type: 'server_offline',
-                severity: 'critical',
-                title: 'Server Offline',
-                description: `Server ${server.name} is not responding. Error: ${status.error || 'Connection timeout'}`
-            });
-        }
-        
-        // Check latency
-        if (status.responseTime > 1000) {
-            issues.push({
-                type: 'high_latency',
-                severity: 'warning',
-                title: 'High Latency',
-                description: `Server ${server.name} has high latency: ${status.responseTime}ms`
-            });
-        }
-        
-        // Check player capacity
-        if (status.players && status.players.online === status.players.max && status.players.max > 0) {
-            issues.push({
-                type: 'full_capacity',
-                severity: 'warning',
-                title: 'Server Full',
-                description: `Server ${server.name} is at full capacity (${status.players.online}/${status.players.max})`
-            });
-        }
-        
-        // Check version mismatch (for Bedrock)
-        if (status.version && status.version.protocol && status.version.protocol < 671) {
-            issues.push({
-                type: 'version_mismatch',
-                severity: 'info',
-                title: 'Old Version',
-                description: `Server ${server.name} is running an old version: ${status.version.name}`
-            });
+    return await User.findOne({ _id: onCall.userId, isActive: true });
+}
+
+async function getTelegramRecipients(extraChatId = null) {
+    const settings = await Setting.find({ key: /^telegram_subscribed_/ });
+    const chatIds = settings.filter(setting => setting.value === true)
+        .map(setting => setting.key.replace('telegram_subscribed_', ''));
+
+    if (extraChatId && !chatIds.includes(String(extraChatId))) {
+        chatIds.push(String(extraChatId));
+    }
+    return chatIds;
+}
+
+// Escalation Policies
+
+const ESCALATION_CHANNELS = ['telegram', 'whatsapp', 'email'];
+const CONTACT_FIELDS = { email: 'email', whatsapp: 'phone', telegram: 'telegramChatId' };
+
+// Server specific policies beat catch-all ones, then severity specific ones
+function selectEscalationPolicy(policies, server, severity) {
+    const candidates = policies.filter(policy => policy.isActive !== false
+        && policy.steps.length > 0
+        && (policy.serverIds.length === 0 || policy.serverIds.some(id => id.equals(server._id)))
+        && (policy.severities.length === 0 || policy.severities.includes(severity)));
+
+    const specificity = (policy) => (policy.serverIds.length > 0 ? 2 : 0) + (policy.severities.length > 0 ? 1 : 0);
+    candidates.sort((a, b) => specificity(b) - specificity(a) || a.createdAt - b.createdAt);
+    return candidates[0] || null;
+}
+
+async function resolveEscalationRecipients(step, channel, server) {
+    let recipients = [];
+
+    switch (step.target) {
+        case 'subscribers':
+            if (channel === 'telegram') {
+                recipients = await getTelegramRecipients();
+            }
+            break;
+
+        case 'on_call': {
+            const onCallUser = await findOnCallUser(server, step.scheduleId);
+            recipients = onCallUser ? [onCallUser[CONTACT_FIELDS[channel]]] : [];
+            break;
         }
 
-        // Process each issue
-        for (const issue of issues) {
-            await this.handleIssue(server, issue);
+        case 'admin':
+            if (channel === 'email') recipients = [await getSetting('admin_email')];
+            if (channel === 'whatsapp') recipients = [await getSetting('admin_phone')];
+            if (channel === 'telegram') recipients = await getSetting('telegram_admin_chats', []);
+            break;
+
+        case 'all_users':
+        case 'users': {
+            const query = { isActive: true };
+            if (step.target === 'users') query._id = { $in: step.userIds || [] };
+            const users = await User.find(query);
+            recipients = users.map(user => user[CONTACT_FIELDS[channel]]);
+            break;
         }
+
+        case 'custom':
+            recipients = (step.recipients && step.recipients[channel]) || [];
+            break;
     }
 
-    async handleIssue(server, issue) {
-        try {
-            // Check if similar active incident exists
-            const existingIncident = await Incident.findOne({
-                serverId: server._id,
-                type: issue.type,
-                status: 'active',
-                createdAt: { $gte: new Date(Date.now() - 30 * 60 * 1000) } // Last 30 minutes
-            });
+    return [...new Set(recipients.filter(recipient => recipient).map(String))];
+}
 
-            if (existingIncident) {
-                // Update existing incident
-                existingIncident.updatedAt = new Date();
-                await existingIncident.save();
-                return;
-            }
+// Minecraft Protocol Probes
+const MINECRAFT_TYPES = ['bedrock', 'java'];
+// Types probed on address:port, where DNS resolution is tracked
+const RESOLVED_TYPES = ['bedrock', 'java', 'tcp'];
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
 
-            // Create new incident
-            const incident = new Incident({
-                serverId: server._id,
-                type: issue.type,
-                title: issue.title,
-                description: issue.description,
-                severity: issue.severity,
-                status: 'active',
-                data: {
-                    serverName: server.name,
-                    serverAddress: `${server.address}:${server.port}`,
-                    timestamp: new Date()
-                }
-            });
+function cleanMotd(text) {
+    return String(text || '').replace(/§[0-9a-fk-or]/gi, '').trim();
+}
 
-            await incident.save();
+// Parse a RakNet unconnected pong (0x1c) into the lastStatus shape
+function parseBedrockPong(buffer) {
+    if (buffer.length < 35 || buffer.readUInt8(0) !== 0x1c) {
+        throw new Error('Invalid RakNet pong packet');
+    }
+    if (!buffer.subarray(17, 33).equals(RAKNET_MAGIC)) {
+        throw new Error('Invalid RakNet magic');
+    }
 
-            // Send notifications
-            await this.sendIncidentNotifications(incident, server);
+    const length = buffer.readUInt16BE(33);
+    const payload = buffer.toString('utf8', 35, 35 + length);
 
-            // Emit to WebSocket
-            io.emit('incident', {
-                incident: incident,
-                server: server
-            });
+    // MCPE;MOTD;protocol;version;online;max;serverId;MOTD2;gamemode;gamemodeId;portV4;portV6;
+    const fields = payload.split(';');
+    if (fields.length < 6) {
+        throw new Error('Malformed server advertisement');
+    }
 
-            // Log incident
-            await logEvent(issue.severity, 'Monitor', `New incident: ${issue.title}`, {
-                incidentId: incident._id,
-                serverId: server._id,
-                type: issue.type,
-                severity: issue.severity
-            });
+    const motdLines = [fields[1], fields[7]].filter(line => line);
+
+    return {
+        online: true,
+        edition: fields[0],
+        players: {
+            online: parseInt(fields[4]) || 0,
+            max: parseInt(fields[5]) || 0,
+            list: []
+        },
+        version: {
+            name: fields[3] || 'Unknown',
+            protocol: parseInt(fields[2]) || -1
+        },
+        motd: {
+            raw: motdLines.join('\n'),
+            clean: motdLines.map(cleanMotd).join('\n')
+        },
+        icon: null,
+        gamemode: fields[8] || null,
+        serverId: fields[6] || null,
+        port: {
+            ipv4: parseInt(fields[10]) || null,
+            ipv6: parseInt(fields[11]) || null
+        },
+        rawData: payload
+    };
+}
 
-            // Set up auto-resolve check for server recovery
-            if (issue.type === 'server_offline') {
-                this.setupRecoveryCheck(server, incident);
+// Send a RakNet unconnected ping over UDP and wait for the pong
+function pingBedrock(host, port, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        const startTime = Date.now();
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.close();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
             }
+        };
 
-        } catch (error) {
-            await logEvent('error', 'Monitor', `Failed to handle issue: ${error.message}`, {
-                serverId: server._id,
-                issue: issue
-            });
-        }
+        const timer = setTimeout(() => finish(new Error('Connection timeout')), timeout);
+
+        socket.on('error', (error) => finish(error));
+        socket.on('message', (message) => {
+            try {
+                const status = parseBedrockPong(message);
+                status.responseTime = Date.now() - startTime;
+                finish(null, status);
+            } catch (error) {
+                finish(error);
+            }
+        });
+
+        const ping = Buffer.alloc(33);
+        ping.writeUInt8(0x01, 0);
+        ping.writeBigInt64BE(BigInt(startTime), 1);
+        RAKNET_MAGIC.copy(ping, 9);
+        ping.writeBigInt64BE(BigInt(Math.floor(Math.random() * Number.MAX_SAFE_INTEGER)), 25);
+
+        socket.send(ping, port, host, (error) => {
+            if (error) finish(error);
+        });
+    });
+}
+
+const CHAT_COLOR_CODES = {
+    black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3', dark_red: '4',
+    dark_purple: '5', gold: '6', gray: '7', dark_gray: '8', blue: '9', green: 'a',
+    aqua: 'b', red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+
+// Flatten a JSON chat component into legacy § formatted text
+function chatToLegacy(component) {
+    if (component === null || component === undefined) return '';
+    if (typeof component === 'string') return component;
+    if (Array.isArray(component)) return component.map(chatToLegacy).join('');
+
+    let text = '';
+    if (component.color && CHAT_COLOR_CODES[component.color]) {
+        text += '§' + CHAT_COLOR_CODES[component.color];
+    }
+    if (component.bold) text += '§l';
+    if (component.italic) text += '§o';
+    if (component.underlined) text += '§n';
+    if (component.strikethrough) text += '§m';
+    if (component.obfuscated) text += '§k';
+
+    text += component.text || component.translate || '';
+    if (Array.isArray(component.extra)) {
+        text += component.extra.map(chatToLegacy).join('');
     }
+    return text;
+}
 
-    async sendIncidentNotifications(incident, server) {
-        try {
-            const notifications = [];
-            const incidentMessage = `🚨 ${incident.severity.toUpperCase()}: ${server.name}\n\n${incident.description}\n\nTime: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
-            
-            // Get notification settings
-            const emailEnabled = await getSetting('email_enabled', false);
-            const telegramEnabled = await getSetting('telegram_enabled', true);
-            const whatsappEnabled = await getSetting('whatsapp_enabled', false);
-            
-            const adminEmail = await getSetting('admin_email');
-            const adminPhone = await getSetting('admin_phone');
-            
-            // Check severity settings
-            const sendCritical = await getSetting('notify_critical', true);
-            const sendWarning = await getSetting('notify_warning', true);
-            const sendInfo = await getSetting('notify_info', false);
-            
-            let shouldSend = false;
-            switch (incident.severity) {
-                case 'critical': shouldSend = sendCritical; break;
-                case 'warning': shouldSend = sendWarning; break;
-                case 'info': shouldSend = sendInfo; break;
+function writeVarInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+    do {
+        let byte = remaining & 0x7f;
+        remaining >>>= 7;
+        if (remaining !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining !== 0);
+    return Buffer.from(bytes);
+}
+
+// Returns null when the buffer does not hold a complete VarInt yet
+function readVarInt(buffer, offset = 0) {
+    let value = 0;
+    let size = 0;
+    let byte;
+    do {
+        if (offset + size >= buffer.length) return null;
+        byte = buffer[offset + size];
+        value |= (byte & 0x7f) << (7 * size);
+        size += 1;
+        if (size > 5) throw new Error('VarInt too big');
+    } while (byte & 0x80);
+    return { value, size };
+}
+
+function writeMcString(text) {
+    const data = Buffer.from(text, 'utf8');
+    return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function framePacket(packetId, payload = Buffer.alloc(0)) {
+    const body = Buffer.concat([writeVarInt(packetId), payload]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+function normalizeJavaStatus(data) {
+    const players = data.players || {};
+    const motdRaw = chatToLegacy(data.description);
+
+    return {
+        online: true,
+        players: {
+            online: players.online || 0,
+            max: players.max || 0,
+            list: (players.sample || []).map(player => ({
+                name: player.name,
+                uuid: player.id || null
+            }))
+        },
+        version: {
+            name: data.version?.name || 'Unknown',
+            protocol: data.version?.protocol ?? -1
+        },
+        motd: {
+            raw: motdRaw,
+            clean: cleanMotd(motdRaw)
+        },
+        icon: data.favicon || null,
+        rawData: data
+    };
+}
+
+// Modern (1.7+) Server List Ping: handshake, status request, then ping/pong for latency
+function pingJava(host, port, timeout = 5000, virtualHost = host) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        const startTime = Date.now();
+        let buffer = Buffer.alloc(0);
+        let status = null;
+        let pingSentAt = 0;
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
             }
-            
-            if (!shouldSend) return;
+        };
 
-            // Send Email
-            if (emailEnabled && adminEmail) {
-                try {
-                    const emailHtml = `
-                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                            <div style="background: ${incident.severity === 'critical' ? '#dc3545' : incident.severity === 'warning' ? '#ffc107' : '#17a2b8'}; color: white; padding: 20px; border-radius: 5px 5px 0 0;">
-                                <h2 style="margin: 0;">${incident.title}</h2>
-                            </div>
-                            <div style="padding: 20px; background: #f8f9fa; border: 1px solid #dee2e6; border-top: none;">
-                                <h3>Server: ${server.name}</h3>
-                                <p>${incident.description}</p>
-                                <hr>
-                                <p><strong>Server Address:</strong> ${server.address}:${server.port}</p>
-                                <p><strong>Time:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>
-                                <p><strong>Severity:</strong> ${incident.severity}</p>
-                                <hr>
-                                <p style="color: #6c757d; font-size: 12px;">
-                                    This is an automated notification from Forexter Network Monitoring System.
-                                </p>
-                            </div>
-                        </div>
-                    `;
-                    
-                    await sendEmail(adminEmail, `[${incident.severity.toUpperCase()}] ${incident.title}`, emailHtml);
-                    
-                    notifications.push({
-                        type: 'email',
-                        recipient: adminEmail,
-                        status: 'sent'
-                    });
-                    
-                } catch (error) {
-                    notifications.push({
-                        type: 'email',
-                        recipient: adminEmail,
-                        status: 'failed',
-                        error: error.message
-                    });
-                }
+        const timer = setTimeout(() => {
+            if (status) {
+                // Some servers never answer the ping packet
+                status.responseTime = Date.now() - startTime;
+                finish(null, status);
+            } else {
+                finish(new Error('Connection timeout'));
             }
+        }, timeout);
+
+        socket.on('connect', () => {
+            const portBuffer = Buffer.alloc(2);
+            portBuffer.writeUInt16BE(port);
+
+            socket.write(framePacket(0x00, Buffer.concat([
+                writeVarInt(-1),
+                writeMcString(virtualHost),
+                portBuffer,
+                writeVarInt(1)
+            ])));
+            socket.write(framePacket(0x00));
+        });
 
-            // Send WhatsApp
-            if (whatsappEnabled && adminPhone && whatsappReady) {
-                try {
-                    await sendWhatsAppMessage(adminPhone, incidentMessage);
-                    
-                    notifications.push({
-                        type: 'whatsapp',
-                        recipient: adminPhone,
-                        status: 'sent'
-                    });
-                    
-                } catch (error) {
-                    notifications.push({
-                        type: 'whatsapp',
-                        recipient: adminPhone,
-                        status: 'failed',
-                        error: error.message
-                    });
-                }
-            }
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
 
-            // Send Telegram
-            if (telegramEnabled && telegramReady) {
-                try {
-                    // Get all subscribed chat IDs
-                    const settings = await Setting.find({ key: /^telegram_subscribed_/ });
-                    const subscribedChats = settings.filter(s => s.value === true);
-                    
-                    for (const setting of subscribedChats) {
-                        const chatId = setting.key.replace('telegram_subscribed_', '');
-                        try {
-                            await sendTelegramMessage(chatId, incidentMessage);
-                            
-                            notifications.push({
-                                type: 'telegram',
-                                recipient: chatId,
-                                status: 'sent'
-                            });
-                            
-                        } catch (error) {
-                            notifications.push({
-                                type: 'telegram',
-                                recipient: chatId,
-                                status: 'failed',
-                                error: error.message
-                            });
-                        }
+            try {
+                while (true) {
+                    const length = readVarInt(buffer);
+                    if (!length || buffer.length < length.size + length.value) return;
+
+                    const packet = buffer.subarray(length.size, length.size + length.value);
+                    buffer = buffer.subarray(length.size + length.value);
+
+                    const packetId = readVarInt(packet);
+                    if (packetId.value === 0x00 && !status) {
+                        const jsonLength = readVarInt(packet, packetId.size);
+                        const jsonStart = packetId.size + jsonLength.size;
+                        const json = packet.toString('utf8', jsonStart, jsonStart + jsonLength.value);
+
+                        status = normalizeJavaStatus(JSON.parse(json));
+                        status.responseTime = Date.now() - startTime;
+
+                        const payload = Buffer.alloc(8);
+                        payload.writeBigInt64BE(BigInt(Date.now()));
+                        pingSentAt = Date.now();
+                        socket.write(framePacket(0x01, payload));
+                    } else if (packetId.value === 0x01 && status) {
+                        status.responseTime = Date.now() - pingSentAt;
+                        finish(null, status);
+                        return;
+                    } else {
+                        throw new Error(`Unexpected packet 0x${packetId.value.toString(16)}`);
                     }
-                    
-                } catch (error) {
-                    notifications.push({
-                        type: 'telegram',
-                        recipient: 'subscribers',
-                        status: 'failed',
-                        error: error.message
-                    });
                 }
+            } catch (error) {
+                error.protocolError = true;
+                finish(error);
             }
+        });
 
-            // Save notification records
-            for (const notif of notifications) {
-                const notification = new Notification({
-                    type: notif.type,
-                    title: incident.title,
-                    message: incident.description,
-                    recipient: notif.recipient,
-                    status: notif.status,
-                    error: notif.error,
-                    sentAt: new Date()
-                });
-                await notification.save();
+        socket.on('error', (error) => finish(error));
+        socket.on('close', () => {
+            if (status) {
+                finish(null, status);
+            } else {
+                const error = new Error('Connection closed before status response');
+                error.protocolError = true;
+                finish(error);
+            }
+        });
+    });
+}
+
+// Legacy 1.6 ping (0xFE 0x01 + MC|PingHost), also understood by older servers
+function pingJavaLegacy(host, port, timeout = 5000, virtualHost = host) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        const startTime = Date.now();
+        let buffer = Buffer.alloc(0);
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
             }
+        };
 
-            // Mark incident as notified
-            incident.notificationsSent = true;
-            await incident.save();
+        const timer = setTimeout(() => finish(new Error('Connection timeout')), timeout);
 
-        } catch (error) {
-            await logEvent('error', 'Monitor', `Failed to send notifications: ${error.message}`, {
-                incidentId: incident._id
+        socket.on('connect', () => {
+            const channel = Buffer.from('MC|PingHost', 'utf16le').swap16();
+            const hostname = Buffer.from(virtualHost, 'utf16le').swap16();
+
+            const header = Buffer.from([0xfe, 0x01, 0xfa, 0x00, 'MC|PingHost'.length]);
+            const rest = Buffer.alloc(5);
+            rest.writeUInt16BE(7 + hostname.length, 0);
+            rest.writeUInt8(74, 2);
+            rest.writeUInt16BE(virtualHost.length, 3);
+            const portBuffer = Buffer.alloc(4);
+            portBuffer.writeInt32BE(port);
+
+            socket.write(Buffer.concat([header, channel, rest, hostname, portBuffer]));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (buffer.length < 3) return;
+
+            if (buffer[0] !== 0xff) {
+                finish(new Error('Invalid legacy ping response'));
+                return;
+            }
+
+            const length = buffer.readUInt16BE(1);
+            if (buffer.length < 3 + length * 2) return;
+
+            const payload = Buffer.from(buffer.subarray(3, 3 + length * 2)).swap16().toString('utf16le');
+            let fields;
+            if (payload.startsWith('§1\u0000')) {
+                // §1 \0 protocol \0 version \0 motd \0 online \0 max
+                const parts = payload.split('\u0000');
+                fields = {
+                    protocol: parseInt(parts[1]),
+                    version: parts[2],
+                    motd: parts[3],
+                    online: parseInt(parts[4]),
+                    max: parseInt(parts[5])
+                };
+            } else {
+                // Pre-1.4: motd § online § max
+                const parts = payload.split('§');
+                fields = {
+                    protocol: -1,
+                    version: 'Unknown',
+                    max: parseInt(parts.pop()),
+                    online: parseInt(parts.pop()),
+                    motd: parts.join('§')
+                };
+            }
+
+            finish(null, {
+                online: true,
+                players: {
+                    online: fields.online || 0,
+                    max: fields.max || 0,
+                    list: []
+                },
+                version: {
+                    name: fields.version || 'Unknown',
+                    protocol: Number.isNaN(fields.protocol) ? -1 : fields.protocol
+                },
+                motd: {
+                    raw: fields.motd,
+                    clean: cleanMotd(fields.motd)
+                },
+                icon: null,
+                legacy: true,
+                responseTime: Date.now() - startTime,
+                rawData: payload
             });
-        }
-    }
+        });
+
+        socket.on('error', (error) => finish(error));
+        socket.on('close', () => finish(new Error('Connection closed before legacy ping response')));
+    });
+}
+
+// GameSpy4 (UDP) full stat query: player list, plugins and map
+function queryGameSpy4(host, port, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        const sessionId = Math.floor(Math.random() * 0x7fffffff) & 0x0f0f0f0f;
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.close();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new Error('Query timeout')), timeout);
+
+        const send = (type, payload = Buffer.alloc(0)) => {
+            const header = Buffer.alloc(7);
+            header.writeUInt16BE(0xfefd, 0);
+            header.writeUInt8(type, 2);
+            header.writeInt32BE(sessionId, 3);
+            socket.send(Buffer.concat([header, payload]), port, host, (error) => {
+                if (error) finish(error);
+            });
+        };
 
-    setupRecoveryCheck(server, incident) {
-        const checkInterval = setInterval(async () => {
+        socket.on('error', (error) => finish(error));
+        socket.on('message', (message) => {
             try {
-                const currentServer = await ServerModel.findById(server._id);
-                if (currentServer.lastStatus && currentServer.lastStatus.online) {
-                    // Server is back online!
-                    clearInterval(checkInterval);
-                    this.incidentCheckers.delete(incident._id.toString());
-                    
-                    // Resolve the incident
-                    incident.status = 'resolved';
-                    incident.resolvedAt = new Date();
-                    await incident.save();
-                    
-                    // Send recovery notification
-                    await this.sendRecoveryNotification(server, incident);
-                    
-                    // Emit update
-                    io.emit('incident-resolved', {
-                        incidentId: incident._id,
-                        serverId: server._id,
-                        timestamp: new Date()
-                    });
-                    
-                    await logEvent('info', 'Monitor', `Server ${server.name} recovered`, {
-                        serverId: server._id,
-                        incidentId: incident._id
-                    });
+                const type = message.readUInt8(0);
+                if (message.readInt32BE(1) !== sessionId) return;
+
+                if (type === 0x09) {
+                    // Handshake: challenge token as a null-terminated decimal string
+                    const challenge = parseInt(message.toString('latin1', 5).replace(/\0.*$/, ''));
+                    const payload = Buffer.alloc(8);
+                    payload.writeInt32BE(challenge, 0);
+                    send(0x00, payload);
+                    return;
+                }
+
+                if (type === 0x00) {
+                    finish(null, parseFullStat(message));
                 }
             } catch (error) {
-                console.error('Recovery check error:', error);
+                finish(error);
             }
-        }, 60000); // Check every minute
+        });
+
+        send(0x09);
+    });
+}
+
+function parseFullStat(message) {
+    let offset = 5 + 11; // type + session id + "splitnum\0\x80\0"
+
+    const readString = () => {
+        const end = message.indexOf(0, offset);
+        if (end === -1) {
+            const rest = message.toString('utf8', offset);
+            offset = message.length;
+            return rest;
+        }
+        const value = message.toString('utf8', offset, end);
+        offset = end + 1;
+        return value;
+    };
 
-        this.incidentCheckers.set(incident._id.toString(), checkInterval);
+    const info = {};
+    while (offset < message.length) {
+        const key = readString();
+        if (!key) break;
+        info[key] = readString();
     }
 
-    async sendRecoveryNotification(server, incident) {
-        try {
-            const recoveryMessage = `✅ Server Recovery: ${server.name}\n\nServer is back online after being down for ${moment(incident.createdAt).fromNow(true)}.\n\nTime: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
-            
-            // Similar to incident notifications but with success message
-            const emailEnabled = await getSetting('email_enabled', false);
-            const telegramEnabled = await getSetting('telegram_enabled', true);
-            const whatsappEnabled = await getSetting('whatsapp_enabled', false);
-            
-            const adminEmail = await getSetting('admin_email');
-            const adminPhone = await getSetting('admin_phone');
-            
-            if (emailEnabled && adminEmail) {
-                await sendEmail(adminEmail, `[RECOVERY] ${server.name} Back Online`, 
-                    `<h2>✅ Server Recovery</h2>
-                    <p><strong>Server:</strong> ${server.name}</p>
-                    <p><strong>Status:</strong> Back Online</p>
-                    <p><strong>Downtime:</strong> ${moment(incident.createdAt).fromNow(true)}</p>
-                    <p><strong>Time:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>`);
+    offset += 10; // "\x01player_\0\0"
+    const players = [];
+    while (offset < message.length) {
+        const name = readString();
+        if (!name) break;
+        players.push({ name, uuid: null });
+    }
+
+    // plugins: "<software>: Plugin 1.0; Other 2.0"
+    let software = null;
+    let plugins = [];
+    if (info.plugins) {
+        const [head, list] = info.plugins.split(/:\s*(.*)/s);
+        software = head || null;
+        plugins = (list || '').split(';').map(plugin => plugin.trim()).filter(plugin => plugin);
+    }
+
+    return {
+        motd: info.hostname,
+        gameType: info.gametype,
+        version: info.version,
+        map: info.map,
+        software,
+        plugins,
+        players: {
+            online: parseInt(info.numplayers) || players.length,
+            max: parseInt(info.maxplayers) || 0,
+            list: players
+        },
+        hostPort: parseInt(info.hostport) || null
+    };
+}
+
+// Source RCON (TCP): int32 LE length, request id and type, then a null-terminated body
+const RCON_AUTH = 3;
+const RCON_EXEC = 2;
+const RCON_RESPONSE = 0;
+
+function encodeRconPacket(id, type, body) {
+    const payload = Buffer.from(body, 'utf8');
+    const packet = Buffer.alloc(14 + payload.length);
+    packet.writeInt32LE(10 + payload.length, 0);
+    packet.writeInt32LE(id, 4);
+    packet.writeInt32LE(type, 8);
+    payload.copy(packet, 12);
+    return packet;
+}
+
+// Log in, run the commands one after another and return their output
+function runRconCommands(host, port, password, commands, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect({ host, port });
+        const responses = [];
+        let buffer = Buffer.alloc(0);
+        let current = null;
+        let nextId = 1;
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(result);
             }
-            
-            if (whatsappEnabled && adminPhone && whatsappReady) {
-                await sendWhatsAppMessage(adminPhone, recoveryMessage);
+        };
+
+        const timer = setTimeout(() => finish(new Error('RCON timeout')), timeout);
+
+        // Every command is followed by an empty packet of an unknown type. The server
+        // answers that one only after the full (possibly split) command output.
+        const sendNext = () => {
+            if (responses.length === commands.length) {
+                finish(null, responses);
+                return;
             }
-            
-            if (telegramEnabled && telegramReady) {
-                const settings = await Setting.find({ key: /^telegram_subscribed_/ });
-                const subscribedChats = settings.filter(s => s.value === true);
-                
-                for (const setting of subscribedChats) {
-                    const chatId = setting.key.replace('telegram_subscribed_', '');
-                    await sendTelegramMessage(chatId, recoveryMessage);
+            current = { id: nextId++, endId: nextId++, body: '' };
+            socket.write(encodeRconPacket(current.id, RCON_EXEC, commands[responses.length]));
+            socket.write(encodeRconPacket(current.endId, RCON_RESPONSE, ''));
+        };
+
+        const handlePacket = (id, type, body) => {
+            if (!current) {
+                // Authentication reply
+                if (type !== RCON_EXEC) return;
+                if (id === -1) {
+                    finish(new Error('RCON authentication failed'));
+                    return;
                 }
+                sendNext();
+                return;
             }
-            
-        } catch (error) {
-            await logEvent('error', 'Monitor', `Failed to send recovery notification: ${error.message}`);
-        }
-    }
 
-    stopMonitoring(serverId) {
-        if (this.monitoring.has(serverId)) {
-            clearInterval(this.monitoring.get(serverId));
-            this.monitoring.delete(serverId);
-        }
-    }
+            if (id === current.id) {
+                current.body += body;
+            } else if (id === current.endId) {
+                responses.push(current.body);
+                sendNext();
+            }
+        };
+
+        socket.on('connect', () => {
+            socket.write(encodeRconPacket(0, RCON_AUTH, password));
+        });
+
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            try {
+                while (buffer.length >= 4) {
+                    const length = buffer.readInt32LE(0);
+                    if (length < 10 || length > 1024 * 1024) {
+                        throw new Error('Invalid RCON packet');
+                    }
+                    if (buffer.length < length + 4) return;
+
+                    const id = buffer.readInt32LE(4);
+                    const type = buffer.readInt32LE(8);
+                    const body = buffer.toString('utf8', 12, length + 2);
+                    buffer = buffer.subarray(length + 4);
+                    handlePacket(id, type, body);
+                }
+            } catch (error) {
+                finish(error);
+            }
+        });
+
+        socket.on('error', (error) => finish(error));
+        socket.on('close', () => finish(new Error('RCON connection closed')));
+    });
 }
 
-// Initialize Monitor
-const monitor = new ServerMonitor();
+// Read TPS, entities and loaded chunks from `tps`, `forge tps`, `tick query` and Essentials `gc` output
+function parsePerformance(outputs) {
+    const performance = { tps: null, entities: null, chunks: null, worlds: [] };
 
-// API Routes
+    for (const raw of outputs) {
+        const text = cleanMotd(raw);
 
-// Authentication Middleware
-const authenticate = async (req, res, next) => {
-    try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({ error: 'No token provided' });
+        const paper = text.match(/TPS from last 1m, 5m, 15m:\s*\*?([\d.]+),\s*\*?([\d.]+),\s*\*?([\d.]+)/);
+        if (paper) {
+            performance.tps = {
+                '1m': parseFloat(paper[1]),
+                '5m': parseFloat(paper[2]),
+                '15m': parseFloat(paper[3])
+            };
+            continue;
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'forexter-secret');
-        const user = await User.findById(decoded.userId);
-        
-        if (!user || !user.isActive) {
-            return res.status(401).json({ error: 'User not found or inactive' });
+        const forge = text.match(/Overall\s*:.*?Mean TPS:\s*([\d.]+)/);
+        if (forge) {
+            performance.tps = { '1m': parseFloat(forge[1]) };
+            continue;
         }
 
-        req.user = user;
-        next();
-    } catch (error) {
-        res.status(401).json({ error: 'Invalid token' });
-    }
-};
+        const vanilla = text.match(/Average time per tick:\s*([\d.]+)\s*ms/);
+        if (vanilla) {
+            const tickTime = parseFloat(vanilla[1]);
+            performance.tps = { '1m': Math.min(20, Math.round(1000 / Math.max(tickTime, 0.001) * 100) / 100) };
+            performance.tickTime = tickTime;
+            continue;
+        }
 
-const authenticateAdmin = async (req, res, next) => {
-    await authenticate(req, res, () => {
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
+        // Essentials gc: World "world": 1234 chunks, 567 entities, 89 tiles.
+        const worldPattern = /World\s+"?([^":]+)"?\s*:\s*(\d+)\s+chunks?,\s*(\d+)\s+entit(?:y|ies)(?:,\s*(\d+)\s+tiles?)?/gi;
+        let world;
+        while ((world = worldPattern.exec(text)) !== null) {
+            performance.worlds.push({
+                name: world[1].trim(),
+                chunks: parseInt(world[2]),
+                entities: parseInt(world[3]),
+                tiles: world[4] !== undefined ? parseInt(world[4]) : null
+            });
         }
-        next();
+    }
+
+    if (performance.worlds.length > 0) {
+        performance.chunks = performance.worlds.reduce((total, world) => total + world.chunks, 0);
+        performance.entities = performance.worlds.reduce((total, world) => total + world.entities, 0);
+    }
+
+    return performance;
+}
+
+// Generic Service Probes
+async function probeHttp(server, timeout = 10000) {
+    const options = server.http || {};
+    const url = options.url || `${server.port === 443 ? 'https' : 'http'}://${server.address}${server.port ? `:${server.port}` : ''}/`;
+    const startTime = Date.now();
+
+    const response = await axios.request({
+        url,
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        timeout,
+        maxRedirects: options.followRedirects === false ? 0 : 5,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
     });
-};
 
-// Auth Routes
-app.post('/api/auth/register', async (req, res) => {
-    try {
-        const { username, email, password } = req.body;
-        
-        // Check if user exists
-        const existingUser = await User.findOne({ 
-            $or: [{ username }, { email }] 
-        });
-        
-        if (existingUser) {
-            return res.status(400).json({ error: 'User already exists' });
+    const responseTime = Date.now() - startTime;
+    const expectedStatus = options.expectedStatus && options.expectedStatus.length > 0 ? options.expectedStatus : null;
+    const statusOk = expectedStatus
+        ? expectedStatus.includes(response.status)
+        : response.status >= 200 && response.status < 400;
+
+    const body = typeof response.data === 'string' ? response.data : '';
+    let keywordFound = null;
+    if (options.keyword) {
+        keywordFound = body.includes(options.keyword);
+    }
+    const keywordOk = keywordFound === null || keywordFound !== !!options.invertKeyword;
+
+    let error;
+    if (!statusOk) {
+        error = `Unexpected status ${response.status} ${response.statusText || ''}`.trim();
+    } else if (!keywordOk) {
+        error = options.invertKeyword
+            ? `Keyword "${options.keyword}" found in response`
+            : `Keyword "${options.keyword}" not found in response`;
+    }
+
+    return {
+        online: statusOk && keywordOk,
+        error,
+        responseTime,
+        http: {
+            url,
+            statusCode: response.status,
+            statusText: response.statusText,
+            contentLength: Buffer.byteLength(body),
+            keywordFound
         }
+    };
+}
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
-        
-        // Create user
-        const user = new User({
-            username,
-            email,
-            password: hashedPassword,
-            role: 'admin'
+function probeTcp(host, port, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const socket = net.connect({ host, port });
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Connection timeout'));
+        }, timeout);
+
+        socket.on('connect', () => {
+            clearTimeout(timer);
+            socket.destroy();
+            resolve({
+                online: true,
+                responseTime: Date.now() - startTime,
+                tcp: { port }
+            });
         });
 
-        await user.save();
-        
-        // Create token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET || 'forexter-secret',
-            { expiresIn: '7d' }
-        );
-
-        await logEvent('info', 'Auth', `New user registered: ${username}`, {
-            userId: user._id,
-            email: email
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            socket.destroy();
+            reject(error);
         });
+    });
+}
 
-        res.json({
-            success: true,
-            token,
-            user: {
+async function probeDns(server, timeout = 5000) {
+    const options = server.dns || {};
+    const recordType = (options.recordType || 'A').toUpperCase();
+    const resolver = new dns.promises.Resolver({ timeout, tries: 1 });
+    if (options.resolver) {
+        resolver.setServers([options.resolver]);
+    }
+
+    const startTime = Date.now();
+    const answers = await resolver.resolve(server.address, recordType);
+    const responseTime = Date.now() - startTime;
+
+    // Flatten MX/SRV/TXT answers into comparable strings
+    const records = answers.map(answer => {
+        if (typeof answer === 'string') return answer;
+        if (Array.isArray(answer)) return answer.join('');
+        if (answer.exchange) return answer.exchange;
+        if (answer.name) return `${answer.name}:${answer.port}`;
+        return JSON.stringify(answer);
+    });
+
+    const expected = options.expected || [];
+    const missing = expected.filter(value => !records.includes(value));
+
+    return {
+        online: missing.length === 0,
+        error: missing.length > 0 ? `Expected ${recordType} record missing: ${missing.join(', ')}` : undefined,
+        responseTime,
+        dns: { recordType, records }
+    };
+}
+
+function probeTls(server, timeout = 5000) {
+    const options = server.tls || {};
+    const port = server.port || 443;
+
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const socket = tls.connect({
+            host: server.address,
+            port,
+            servername: options.servername || server.address,
+            rejectUnauthorized: false
+        });
+
+        const timer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Connection timeout'));
+        }, timeout);
+
+        socket.on('secureConnect', () => {
+            clearTimeout(timer);
+            const certificate = socket.getPeerCertificate();
+            const authorized = socket.authorized;
+            const authorizationError = socket.authorizationError ? String(socket.authorizationError) : null;
+            socket.destroy();
+
+            if (!certificate || !certificate.valid_to) {
+                reject(new Error('No certificate presented'));
+                return;
+            }
+
+            const validTo = new Date(certificate.valid_to);
+            const daysRemaining = Math.floor((validTo - Date.now()) / 86400000);
+            const warnDays = options.warnDays ?? 14;
+
+            resolve({
+                online: daysRemaining >= 0,
+                error: daysRemaining < 0 ? `Certificate expired on ${moment(validTo).format('DD/MM/YYYY')}` : undefined,
+                responseTime: Date.now() - startTime,
+                tls: {
+                    subject: certificate.subject?.CN || null,
+                    issuer: certificate.issuer?.O || certificate.issuer?.CN || null,
+                    validFrom: new Date(certificate.valid_from),
+                    validTo,
+                    daysRemaining,
+                    expiringSoon: daysRemaining <= warnDays,
+                    authorized,
+                    authorizationError
+                }
+            });
+        });
+
+        socket.on('error', (error) => {
+            clearTimeout(timer);
+            socket.destroy();
+            reject(error);
+        });
+    });
+}
+
+// Heartbeat report from a server plugin. Every field is optional:
+// { tps: 19.9 | [1m, 5m, 15m], mspt, memory: { used, max } (bytes), players: 12 | { online, max, list },
+//   version: '1.20.4' | { name, protocol }, entities, chunks }
+function normalizeHeartbeat(payload = {}) {
+    const toNumber = (value) => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : null;
+    };
+
+    const players = typeof payload.players === 'object' && payload.players !== null
+        ? payload.players
+        : { online: payload.players };
+    const list = (Array.isArray(players.list) ? players.list : []).map(player => typeof player === 'string'
+        ? { name: player, uuid: null }
+        : { name: player.name, uuid: player.uuid || player.id || null });
+
+    const tps = (Array.isArray(payload.tps) ? payload.tps : [payload.tps]).map(toNumber);
+    const memory = payload.memory || {};
+    const memoryUsed = toNumber(memory.used);
+    const memoryMax = toNumber(memory.max);
+
+    const status = {
+        players: {
+            online: toNumber(players.online) ?? list.length,
+            max: toNumber(players.max) ?? 0,
+            list
+        },
+        performance: {
+            tps: tps[0] !== null ? { '1m': tps[0], '5m': tps[1] ?? undefined, '15m': tps[2] ?? undefined } : null,
+            mspt: toNumber(payload.mspt),
+            memory: {
+                used: memoryUsed,
+                max: memoryMax,
+                ratio: memoryUsed !== null && memoryMax > 0 ? Math.round(memoryUsed / memoryMax * 1000) / 1000 : null
+            },
+            entities: toNumber(payload.entities),
+            chunks: toNumber(payload.chunks),
+            collectedAt: new Date()
+        }
+    };
+
+    if (payload.version) {
+        status.version = typeof payload.version === 'object'
+            ? { name: String(payload.version.name || 'Unknown'), protocol: toNumber(payload.version.protocol) ?? -1 }
+            : { name: String(payload.version), protocol: -1 };
+    }
+
+    return status;
+}
+
+// Heartbeat monitors are pushed to; a check only looks at the age of the last report
+function checkHeartbeat(server) {
+    const heartbeat = server.heartbeat || {};
+    if (!heartbeat.lastReceivedAt) {
+        throw new Error('No heartbeat received yet');
+    }
+
+    const age = Date.now() - new Date(heartbeat.lastReceivedAt).getTime();
+    const window = ((heartbeat.interval || 60) + (heartbeat.grace ?? 30)) * 1000;
+    if (age > window) {
+        throw new Error(`No heartbeat received for ${Math.round(age / 1000)}s`);
+    }
+
+    return {
+        ...heartbeat.lastStatus,
+        online: true,
+        responseTime: null,
+        heartbeat: {
+            receivedAt: heartbeat.lastReceivedAt,
+            age: Math.round(age / 1000)
+        }
+    };
+}
+
+// Fields tracked in the change log; icons are compared by hash to keep entries small
+const CHANGE_FIELDS = {
+    version: status => status.version?.name,
+    protocol: status => status.version?.protocol,
+    motd: status => status.motd?.clean,
+    maxPlayers: status => status.players?.max,
+    icon: status => status.version ? (status.icon ? crypto.createHash('sha1').update(status.icon).digest('hex') : null) : undefined
+};
+
+function describeServerChange(server, change) {
+    switch (change.field) {
+        case 'version':
+            return {
+                title: 'Version Changed',
+                description: `Version of ${server.name} changed from ${change.previous} to ${change.current}`,
+                severity: 'warning'
+            };
+        case 'protocol':
+            return {
+                title: 'Protocol Changed',
+                description: `Protocol of ${server.name} changed from ${change.previous} to ${change.current}`,
+                severity: 'warning'
+            };
+        case 'motd':
+            return {
+                title: 'MOTD Changed',
+                description: `MOTD of ${server.name} changed from "${change.previous}" to "${change.current}"`,
+                severity: 'info'
+            };
+        case 'maxPlayers':
+            return {
+                title: 'Max Players Changed',
+                description: `Max players of ${server.name} changed from ${change.previous} to ${change.current}`,
+                severity: 'info'
+            };
+        default:
+            return {
+                title: 'Server Icon Changed',
+                description: change.current ? `Server icon of ${server.name} changed` : `Server icon of ${server.name} was removed`,
+                severity: 'info'
+            };
+    }
+}
+
+// Resolve the endpoint players actually reach: SRV (Java) first, then A/AAAA
+async function resolveServerAddress(server) {
+    const result = {
+        host: server.address,
+        port: server.port,
+        srv: null,
+        addresses: []
+    };
+
+    if (net.isIP(server.address)) {
+        result.addresses = [server.address];
+        result.ip = server.address;
+        return result;
+    }
+
+    if (server.type === 'java' && server.resolver?.srvLookup !== false) {
+        try {
+            const records = await dns.promises.resolveSrv(`_minecraft._tcp.${server.address}`);
+            if (records.length > 0) {
+                records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+                result.srv = { target: records[0].name, port: records[0].port };
+                result.host = records[0].name;
+                result.port = records[0].port;
+            }
+        } catch (error) {
+            // No SRV record is normal, clients fall back to the plain hostname
+            if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+                result.srvError = error.code || error.message;
+            }
+        }
+    }
+
+    const lookups = await dns.promises.lookup(result.host, { all: true });
+    result.addresses = lookups.map(entry => entry.address);
+    const preferred = lookups.find(entry => entry.family === 4) || lookups[0];
+    result.ip = preferred.address;
+    return result;
+}
+
+// Query the third-party status API (mcstatus.io by default)
+async function queryStatusApi(server, timeout = 10000) {
+    const startTime = Date.now();
+    const baseUrl = server.apiEndpoint || 'https://api.mcstatus.io/v2/status';
+    const apiUrl = `${baseUrl.replace(/\/$/, '')}/${server.type}/${server.address}:${server.port}`;
+    const response = await axios.get(apiUrl, { timeout });
+    const data = response.data;
+    const players = data.players || { online: 0, max: 0, list: [] };
+
+    return {
+        online: data.online || false,
+        players: {
+            online: players.online || 0,
+            max: players.max || 0,
+            list: (players.list || []).map(player => ({
+                name: player.name_clean || player.name,
+                uuid: player.uuid || null
+            }))
+        },
+        version: data.version || { name: 'Unknown', protocol: -1 },
+        motd: data.motd || { clean: 'No MOTD' },
+        icon: data.icon || null,
+        gamemode: data.gamemode || null,
+        responseTime: Date.now() - startTime,
+        source: 'api',
+        rawData: data
+    };
+}
+
+// Pterodactyl Panel (client API)
+const PANEL_SIGNALS = ['start', 'stop', 'restart', 'kill'];
+
+async function pterodactylRequest(panel, method, endpoint, data, timeout = 10000) {
+    const response = await axios.request({
+        method,
+        url: `${panel.url.replace(/\/$/, '')}/api/client/servers/${encodeURIComponent(panel.identifier)}${endpoint}`,
+        data,
+        timeout,
+        headers: {
+            Authorization: `Bearer ${panel.apiKey}`,
+            Accept: 'Application/vnd.pterodactyl.v1+json',
+            'Content-Type': 'application/json'
+        }
+    });
+    return response.data;
+}
+
+// Current usage plus the limits configured on the panel (MB and percent, 0 = unlimited)
+async function getPanelResources(panel, timeout) {
+    const [stats, details] = await Promise.all([
+        pterodactylRequest(panel, 'get', '/resources', undefined, timeout),
+        pterodactylRequest(panel, 'get', '', undefined, timeout)
+    ]);
+    const usage = stats.attributes.resources || {};
+    const limits = details.attributes?.limits || {};
+    const ratio = (used, limit) => limit > 0 ? Math.round(used / limit * 1000) / 1000 : null;
+
+    return {
+        state: stats.attributes.current_state,
+        suspended: !!stats.attributes.is_suspended,
+        cpu: {
+            percent: usage.cpu_absolute ?? null,
+            limit: limits.cpu || null,
+            ratio: ratio(usage.cpu_absolute, limits.cpu)
+        },
+        memory: {
+            used: usage.memory_bytes ?? null,
+            limit: limits.memory ? limits.memory * 1024 * 1024 : null,
+            ratio: ratio(usage.memory_bytes, limits.memory * 1024 * 1024)
+        },
+        disk: {
+            used: usage.disk_bytes ?? null,
+            limit: limits.disk ? limits.disk * 1024 * 1024 : null,
+            ratio: ratio(usage.disk_bytes, limits.disk * 1024 * 1024)
+        },
+        network: {
+            rx: usage.network_rx_bytes ?? null,
+            tx: usage.network_tx_bytes ?? null
+        },
+        uptime: usage.uptime ?? null
+    };
+}
+
+async function sendPanelPower(panel, signal, timeout) {
+    if (!PANEL_SIGNALS.includes(signal)) {
+        throw new Error(`Invalid power signal: ${signal}`);
+    }
+    await pterodactylRequest(panel, 'post', '/power', { signal }, timeout);
+}
+
+// Remediation scripts must live in REMEDIATION_SCRIPT_DIR, symlinks included
+async function runRemediationScript(server, action) {
+    if (!action.script) {
+        throw new Error('No script configured');
+    }
+
+    let scriptDir;
+    let scriptPath;
+    try {
+        scriptDir = await fs.promises.realpath(REMEDIATION_SCRIPT_DIR);
+        scriptPath = await fs.promises.realpath(path.resolve(scriptDir, action.script));
+    } catch (error) {
+        throw new Error(`Script not found: ${action.script}`);
+    }
+    if (!scriptPath.startsWith(scriptDir + path.sep)) {
+        throw new Error('Script must be inside the remediation script directory');
+    }
+
+    return new Promise((resolve, reject) => {
+        execFile(scriptPath, [], {
+            cwd: scriptDir,
+            timeout: action.timeout,
+            env: {
+                ...process.env,
+                SERVER_ID: String(server._id),
+                SERVER_NAME: server.name,
+                SERVER_ADDRESS: server.address || '',
+                SERVER_PORT: String(server.port || '')
+            }
+        }, (error, stdout, stderr) => {
+            const output = `${stdout}${stderr}`.trim().slice(-2000);
+            if (error) {
+                reject(new Error(error.killed ? 'Script timed out' : `${error.message}${output ? `: ${output}` : ''}`));
+            } else {
+                resolve(output);
+            }
+        });
+    });
+}
+
+// Alert Rules Engine
+
+const DEFAULT_ALERT_RULES = [
+    {
+        key: 'server_offline',
+        name: 'Server offline',
+        metric: 'online',
+        comparator: 'eq',
+        threshold: false,
+        severity: 'critical',
+        title: 'Server Offline',
+        description: 'Server {{server.name}} is not responding. Error: {{status.error|Connection timeout}}'
+    },
+    {
+        key: 'high_latency',
+        name: 'High latency',
+        metric: 'responseTime',
+        comparator: 'gt',
+        threshold: 1000,
+        severity: 'warning',
+        title: 'High Latency',
+        description: 'Server {{server.name}} has high latency: {{value}}ms'
+    },
+    {
+        key: 'full_capacity',
+        name: 'Server full',
+        metric: 'players.free',
+        comparator: 'lte',
+        threshold: 0,
+        severity: 'warning',
+        title: 'Server Full',
+        description: 'Server {{server.name}} is at full capacity ({{status.players.online}}/{{status.players.max}})'
+    },
+    {
+        key: 'version_mismatch',
+        name: 'Old Bedrock version',
+        metric: 'version.protocol',
+        comparator: 'lt',
+        threshold: 671,
+        severity: 'info',
+        serverTypes: ['bedrock'],
+        title: 'Old Version',
+        description: 'Server {{server.name}} is running an old version: {{status.version.name}}'
+    },
+    {
+        key: 'tls_expiring',
+        name: 'TLS certificate expiring',
+        metric: 'tls.expiringSoon',
+        comparator: 'eq',
+        threshold: true,
+        severity: 'warning',
+        serverTypes: ['tls'],
+        title: 'Certificate Expiring',
+        description: 'TLS certificate of {{server.name}} expires in {{status.tls.daysRemaining}} days ({{status.tls.validTo}})'
+    },
+    {
+        key: 'tls_invalid',
+        name: 'TLS certificate not trusted',
+        metric: 'tls.authorized',
+        comparator: 'eq',
+        threshold: false,
+        severity: 'warning',
+        serverTypes: ['tls'],
+        title: 'Certificate Not Trusted',
+        description: 'TLS certificate of {{server.name}} is not trusted: {{status.tls.authorizationError|unknown reason}}'
+    },
+    {
+        key: 'low_tps',
+        name: 'Low TPS',
+        metric: 'performance.tps.1m',
+        comparator: 'lt',
+        threshold: 15,
+        duration: 120,
+        severity: 'warning',
+        serverTypes: ['java', 'heartbeat'],
+        title: 'Low TPS',
+        description: 'Server {{server.name}} is running at {{status.performance.tps.1m}} TPS'
+    },
+    {
+        key: 'high_mspt',
+        name: 'High tick time',
+        metric: 'performance.mspt',
+        comparator: 'gt',
+        threshold: 50,
+        duration: 120,
+        severity: 'warning',
+        serverTypes: ['heartbeat'],
+        title: 'High MSPT',
+        description: 'Server {{server.name}} needs {{status.performance.mspt}} ms per tick'
+    },
+    {
+        key: 'address_changed',
+        name: 'Resolved address changed',
+        metric: 'resolution.changed',
+        comparator: 'eq',
+        threshold: true,
+        severity: 'warning',
+        title: 'Address Changed',
+        description: '{{server.address}} now resolves to {{status.resolution.ip}}:{{status.resolution.port}} (expected {{status.resolution.baseline.ip}}:{{status.resolution.baseline.port}})'
+    },
+    {
+        key: 'dns_record_missing',
+        name: 'DNS record missing',
+        metric: 'resolution.recordMissing',
+        comparator: 'eq',
+        threshold: true,
+        severity: 'critical',
+        title: 'DNS Record Missing',
+        description: 'DNS record {{status.resolution.missingRecord}} for {{server.name}} no longer resolves'
+    }
+];
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+// Resolve a rule metric from a status; undefined means "not measurable right now"
+function getStatusMetric(status, metric) {
+    if (metric === 'online') {
+        return !!status.online;
+    }
+
+    // Everything else except DNS resolution is only meaningful while the server answers
+    if (!status.online && !metric.startsWith('resolution.')) {
+        return undefined;
+    }
+
+    const players = status.players || {};
+    switch (metric) {
+        case 'players.free':
+            return players.max > 0 ? players.max - (players.online || 0) : undefined;
+        case 'players.ratio':
+            return players.max > 0 ? (players.online || 0) / players.max : undefined;
+        case 'version.protocol':
+            return status.version?.protocol > 0 ? status.version.protocol : undefined;
+        default:
+            return getPath(status, metric);
+    }
+}
+
+// Returns true/false, or null when the value cannot be compared
+function compareMetric(value, comparator, threshold) {
+    if (value === undefined || value === null) return null;
+
+    switch (comparator) {
+        case 'gt': return Number(value) > Number(threshold);
+        case 'gte': return Number(value) >= Number(threshold);
+        case 'lt': return Number(value) < Number(threshold);
+        case 'lte': return Number(value) <= Number(threshold);
+        case 'eq': return value === threshold || String(value) === String(threshold);
+        case 'neq': return !(value === threshold || String(value) === String(threshold));
+        default: return null;
+    }
+}
+
+// Render {{path}} and {{path|fallback}} placeholders
+function renderTemplate(template, context) {
+    return String(template || '').replace(/\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g, (match, path, fallback) => {
+        const value = getPath(context, path);
+        return value === undefined || value === null || value === '' ? (fallback ?? '') : String(value);
+    });
+}
+
+// Inactive rules still apply here, selectRulesForServer drops them after picking one per key
+function ruleAppliesToServer(rule, server) {
+    if (rule.serverTypes && rule.serverTypes.length > 0 && !rule.serverTypes.includes(server.type)) return false;
+
+    switch (rule.scope) {
+        case 'server': return rule.serverId && rule.serverId.toString() === server._id.toString();
+        case 'tag': return (server.tags || []).includes(rule.tag);
+        default: return true;
+    }
+}
+
+// The most specific rule wins per key: server > tag > global
+function selectRulesForServer(rules, server) {
+    const specificity = { server: 3, tag: 2, global: 1 };
+    const selected = new Map();
+
+    for (const rule of rules) {
+        if (!ruleAppliesToServer(rule, server)) continue;
+
+        const current = selected.get(rule.key);
+        if (!current || specificity[rule.scope] > specificity[current.scope]) {
+            selected.set(rule.key, rule);
+        }
+    }
+
+    return Array.from(selected.values()).filter(rule => rule.isActive !== false);
+}
+
+// Part of the incident fingerprint: a rule that now measures something else, or a server
+// override replacing the global rule, is a different condition and opens its own incident
+function getRuleLabels(rule) {
+    return { metric: rule.metric, scope: rule.scope || 'global' };
+}
+
+function evaluateRule(rule, server, status) {
+    const value = getStatusMetric(status, rule.metric);
+    const active = compareMetric(value, rule.comparator, rule.threshold);
+    const context = { server, status, value, threshold: rule.threshold, rule };
+
+    return {
+        type: rule.key,
+        active,
+        duration: rule.duration || 0,
+        issue: {
+            type: rule.key,
+            ruleId: rule._id,
+            labels: getRuleLabels(rule),
+            severity: rule.severity,
+            title: renderTemplate(rule.title || rule.name || rule.key, context),
+            description: renderTemplate(rule.description, context)
+        }
+    };
+}
+
+// Check Scheduler
+class CheckScheduler {
+    constructor(runCheck) {
+        this.runCheck = runCheck;
+        this.jobs = new Map();
+        this.queue = [];
+        this.running = 0;
+        this.timer = null;
+        this.config = {
+            maxConcurrency: 5,
+            jitter: 0.1,
+            backoffAfter: 3,
+            backoffFactor: 2,
+            backoffMax: 300
+        };
+        this.configLoadedAt = 0;
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            lagSamples: []
+        };
+    }
+
+    async loadConfig() {
+        const [maxConcurrency, jitter, backoffAfter, backoffFactor, backoffMax] = await Promise.all([
+            getSetting('monitor_max_concurrency', 5),
+            getSetting('monitor_jitter', 0.1),
+            getSetting('monitor_backoff_after', 3),
+            getSetting('monitor_backoff_factor', 2),
+            getSetting('monitor_backoff_max', 300)
+        ]);
+
+        this.config = { maxConcurrency, jitter, backoffAfter, backoffFactor, backoffMax };
+        this.configLoadedAt = Date.now();
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), 500);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    schedule(server) {
+        const serverId = server._id.toString();
+        const intervalMs = server.checkInterval * 1000;
+        let job = this.jobs.get(serverId);
+
+        if (!job) {
+            job = {
+                serverId,
+                running: false,
+                queued: false,
+                failures: 0,
+                checks: 0,
+                waiters: [],
+                // Spread first checks across the interval instead of firing in lockstep
+                nextRunAt: Date.now() + Math.random() * intervalMs
+            };
+            this.jobs.set(serverId, job);
+        } else if (!job.running) {
+            job.nextRunAt = Math.min(job.nextRunAt, Date.now() + this.applyJitter(intervalMs));
+        }
+
+        job.name = server.name;
+        job.interval = server.checkInterval;
+        this.start();
+    }
+
+    unschedule(serverId) {
+        const id = serverId.toString();
+        this.jobs.delete(id);
+        this.queue = this.queue.filter(job => job.serverId !== id);
+    }
+
+    applyJitter(delay) {
+        const jitter = Math.max(0, Math.min(this.config.jitter, 1));
+        return delay * (1 + (Math.random() * 2 - 1) * jitter);
+    }
+
+    // Back off exponentially while a server keeps failing, up to backoffMax seconds
+    nextDelay(job) {
+        const baseMs = job.interval * 1000;
+        let delay = baseMs;
+
+        if (job.failures > this.config.backoffAfter) {
+            const steps = job.failures - this.config.backoffAfter;
+            delay = Math.max(baseMs, Math.min(baseMs * Math.pow(this.config.backoffFactor, steps), this.config.backoffMax * 1000));
+        }
+
+        return this.applyJitter(delay);
+    }
+
+    tick() {
+        if (Date.now() - this.configLoadedAt > 60000) {
+            this.configLoadedAt = Date.now();
+            this.loadConfig().catch(error => console.error('Scheduler config error:', error));
+        }
+
+        const now = Date.now();
+        for (const job of this.jobs.values()) {
+            if (!job.running && !job.queued && job.nextRunAt <= now) {
+                job.queued = true;
+                job.dueAt = job.nextRunAt;
+                this.queue.push(job);
+            }
+        }
+
+        this.drain();
+    }
+
+    drain() {
+        while (this.running < this.config.maxConcurrency && this.queue.length > 0) {
+            const job = this.queue.shift();
+            if (this.jobs.get(job.serverId) === job) {
+                this.execute(job);
+            }
+        }
+    }
+
+    async execute(job) {
+        job.running = true;
+        job.queued = false;
+        job.lastLag = Math.round(Math.max(0, Date.now() - (job.dueAt || Date.now())));
+        this.running += 1;
+
+        this.stats.lagSamples.push(job.lastLag);
+        if (this.stats.lagSamples.length > 200) {
+            this.stats.lagSamples.shift();
+        }
+
+        const startedAt = Date.now();
+        let status = null;
+
+        try {
+            status = await this.runCheck(job.serverId);
+            this.stats.completed += 1;
+        } catch (error) {
+            this.stats.failed += 1;
+            console.error('Scheduled check error:', error);
+        } finally {
+            this.running -= 1;
+            job.running = false;
+            job.checks += 1;
+            job.lastRunAt = new Date();
+            job.lastDuration = Date.now() - startedAt;
+            job.failures = status && status.online ? 0 : job.failures + 1;
+
+            // Next run counts from completion, so checks for one server never overlap
+            job.nextDelay = this.nextDelay(job);
+            job.nextRunAt = Date.now() + job.nextDelay;
+
+            const waiters = job.waiters;
+            job.waiters = [];
+            waiters.forEach(resolve => resolve(status));
+
+            this.drain();
+        }
+
+        return status;
+    }
+
+    // Run a check right away, or join the one already in flight
+    runNow(serverId) {
+        const job = this.jobs.get(serverId.toString());
+        if (!job) {
+            return Promise.resolve(null);
+        }
+
+        if (job.running) {
+            return new Promise(resolve => job.waiters.push(resolve));
+        }
+
+        this.queue = this.queue.filter(queued => queued !== job);
+        job.dueAt = Date.now();
+        return this.execute(job);
+    }
+
+    getStats() {
+        const lags = this.stats.lagSamples;
+        const jobs = Array.from(this.jobs.values());
+
+        return {
+            running: this.running,
+            queued: this.queue.length,
+            scheduled: jobs.length,
+            maxConcurrency: this.config.maxConcurrency,
+            completed: this.stats.completed,
+            failed: this.stats.failed,
+            lag: {
+                avg: lags.length > 0 ? Math.round(lags.reduce((sum, lag) => sum + lag, 0) / lags.length) : 0,
+                max: lags.length > 0 ? Math.max(...lags) : 0
+            },
+            servers: jobs.map(job => ({
+                serverId: job.serverId,
+                name: job.name,
+                interval: job.interval,
+                effectiveInterval: job.nextDelay ? Math.round(job.nextDelay / 1000) : job.interval,
+                running: job.running,
+                queued: job.queued,
+                failures: job.failures,
+                checks: job.checks,
+                lastRunAt: job.lastRunAt,
+                lastDuration: job.lastDuration,
+                lastLag: job.lastLag,
+                nextRunAt: new Date(job.nextRunAt)
+            }))
+        };
+    }
+}
+
+// Log Watcher
+
+// Incidents opened from log lines are events, closed after a quiet period instead of by rules
+const LOG_INCIDENT_PREFIX = 'log_';
+
+const DEFAULT_LOG_PATTERNS = [
+    {
+        key: 'cant_keep_up',
+        name: 'Server Overloaded',
+        pattern: "Can't keep up!",
+        severity: 'warning'
+    },
+    {
+        key: 'out_of_memory',
+        name: 'Out of Memory',
+        pattern: 'java\\.lang\\.OutOfMemoryError',
+        severity: 'critical'
+    },
+    {
+        key: 'plugin_exception',
+        name: 'Plugin Exception',
+        pattern: 'Could not pass event|Error occurred while (enabling|disabling)|generated an exception|Exception in plugin',
+        severity: 'warning'
+    },
+    {
+        key: 'watchdog',
+        name: 'Watchdog Crash',
+        pattern: 'The server has stopped responding|Watchdog Thread|A single server tick took',
+        severity: 'critical'
+    }
+];
+
+// Follows latest.log and crash-reports per server from a locally mounted server directory.
+// Only lines written after the first poll are matched, earlier ones serve as context.
+class LogWatcher {
+    constructor() {
+        this.state = new Map();
+    }
+
+    async getPaths(server) {
+        if (!SERVER_LOG_ROOT) {
+            throw new Error('SERVER_LOG_ROOT is not set');
+        }
+
+        const root = path.resolve(SERVER_LOG_ROOT, server.logs.path);
+        const logFile = server.logs.logFile ? path.resolve(root, server.logs.logFile) : path.join(root, 'logs', 'latest.log');
+
+        return {
+            logFile: await this.resolveInside(logFile),
+            crashDir: await this.resolveInside(path.join(root, 'crash-reports'))
+        };
+    }
+
+    // Symlinks are followed before the check, so a link inside the root cannot point outside it.
+    // A file that does not exist yet (e.g. during log rotation) is checked through its directory.
+    async resolveInside(file) {
+        const root = await fs.promises.realpath(SERVER_LOG_ROOT);
+        let real;
+        try {
+            real = await fs.promises.realpath(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT' || path.dirname(file) === file) throw error;
+            real = path.join(await this.resolveInside(path.dirname(file)), path.basename(file));
+        }
+
+        if (real !== root && !real.startsWith(root + path.sep)) {
+            throw new Error('Log path must be inside SERVER_LOG_ROOT');
+        }
+        return real;
+    }
+
+    async getPatterns(server) {
+        const globalPatterns = await getSetting('log_patterns', DEFAULT_LOG_PATTERNS);
+        const patterns = new Map(globalPatterns.map(pattern => [pattern.key, pattern]));
+        for (const pattern of server.logs.patterns || []) {
+            patterns.set(pattern.key, pattern);
+        }
+
+        return [...patterns.values()]
+            .filter(pattern => pattern.enabled !== false && pattern.pattern)
+            // g and y make test() keep lastIndex between lines and skip matches
+            .map(pattern => ({ ...pattern, regex: new RegExp(pattern.pattern, (pattern.flags || 'i').replace(/[gy]/g, '')) }));
+    }
+
+    // Returns { matches, crashReports } found since the previous poll
+    async poll(server) {
+        const key = server._id.toString();
+        const { logFile, crashDir } = await this.getPaths(server);
+        const contextLines = server.logs.excerptLines || 20;
+        let state = this.state.get(key);
+        const firstPoll = !state;
+        if (!state) {
+            state = { offset: 0, inode: null, partial: '', recent: [], crashReports: null };
+            this.state.set(key, state);
+        }
+
+        const lines = await this.readNewLines(state, logFile, firstPoll);
+        const crashReports = await this.readNewCrashReports(state, crashDir);
+
+        const matches = [];
+        if (lines.length > 0) {
+            const patterns = await this.getPatterns(server);
+            const buffer = [...state.recent, ...lines];
+            const start = state.recent.length;
+
+            for (const pattern of patterns) {
+                const hits = [];
+                lines.forEach((line, index) => {
+                    if (pattern.regex.test(line)) hits.push(start + index);
+                });
+                if (hits.length === 0) continue;
+
+                // Stack traces follow the matching line, so most of the excerpt comes after it
+                const first = hits[0];
+                matches.push({
+                    pattern,
+                    line: buffer[first],
+                    count: hits.length,
+                    excerpt: buffer.slice(Math.max(0, first - 5), first + contextLines).join('\n')
+                });
+            }
+
+            state.recent = buffer.slice(-200);
+        }
+
+        return { matches, crashReports };
+    }
+
+    async readNewLines(state, logFile, firstPoll) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(logFile);
+        } catch (error) {
+            return [];
+        }
+
+        // Rotated or truncated: start over from the beginning of the new file
+        if (state.inode !== null && (stat.ino !== state.inode || stat.size < state.offset)) {
+            state.offset = 0;
+            state.partial = '';
+        }
+        state.inode = stat.ino;
+
+        if (firstPoll) {
+            // Keep the tail as context without alerting on old lines
+            const tailStart = Math.max(0, stat.size - 64 * 1024);
+            const tail = await this.readRange(logFile, tailStart, stat.size);
+            state.recent = tail.split(/\r?\n/).filter(line => line).slice(-200);
+            state.offset = stat.size;
+            return [];
+        }
+
+        if (stat.size === state.offset) {
+            return [];
+        }
+
+        const end = Math.min(stat.size, state.offset + 1024 * 1024);
+        const text = state.partial + await this.readRange(logFile, state.offset, end);
+        state.offset = end;
+
+        const lines = text.split(/\r?\n/);
+        state.partial = lines.pop();
+        return lines.filter(line => line);
+    }
+
+    async readRange(file, start, end) {
+        if (end <= start) return '';
+        const handle = await fs.promises.open(file, 'r');
+        try {
+            const buffer = Buffer.alloc(end - start);
+            await handle.read(buffer, 0, buffer.length, start);
+            return buffer.toString('utf8');
+        } finally {
+            await handle.close();
+        }
+    }
+
+    async listCrashReports(crashDir) {
+        try {
+            return (await fs.promises.readdir(crashDir)).filter(file => file.endsWith('.txt')).sort();
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async readNewCrashReports(state, crashDir) {
+        const files = await this.listCrashReports(crashDir);
+        if (state.crashReports === null) {
+            state.crashReports = new Set(files);
+            return [];
+        }
+
+        const reports = [];
+        for (const file of files.filter(file => !state.crashReports.has(file))) {
+            state.crashReports.add(file);
+            reports.push(await this.readCrashReport(path.join(crashDir, file)));
+        }
+        return reports;
+    }
+
+    async readCrashReport(crashFile) {
+        const file = await this.resolveInside(crashFile);
+        const stat = await fs.promises.stat(file);
+        const text = await this.readRange(file, 0, Math.min(stat.size, 64 * 1024));
+        const lines = text.split(/\r?\n/);
+        const description = lines.find(line => line.startsWith('Description:'));
+
+        return {
+            file: path.basename(crashFile),
+            description: description ? description.replace('Description:', '').trim() : null,
+            excerpt: lines.filter(line => line.trim() && !line.startsWith('//')).slice(0, 30).join('\n')
+        };
+    }
+
+    // Last lines of latest.log and the newest crash report, attached to offline incidents
+    async getContext(server) {
+        const key = server._id.toString();
+        if (!this.state.has(key)) {
+            await this.poll(server);
+        }
+
+        const { crashDir } = await this.getPaths(server);
+        const state = this.state.get(key);
+        const context = {
+            lines: state.recent.slice(-(server.logs.excerptLines || 20)).join('\n'),
+            crashReport: null
+        };
+
+        // Only a crash report written in the last 15 minutes explains this outage
+        const files = await this.listCrashReports(crashDir);
+        const newest = files[files.length - 1];
+        if (newest) {
+            const stat = await fs.promises.stat(path.join(crashDir, newest));
+            if (Date.now() - stat.mtimeMs < 15 * 60 * 1000) {
+                context.crashReport = await this.readCrashReport(path.join(crashDir, newest));
+            }
+        }
+
+        return context;
+    }
+
+    forget(serverId) {
+        this.state.delete(serverId.toString());
+    }
+}
+
+// Incident Correlation
+const GROUP_INCIDENT_TYPE = 'correlated_outage';
+const SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+// Keys under which an incident can be grouped with incidents of other servers,
+// most specific first
+function getCorrelationKeys(server, groupBy) {
+    const keys = [];
+    if (groupBy.includes('node') && server.node && server.node.trim()) {
+        keys.push(`node:${server.node.trim().toLowerCase()}`);
+    }
+
+    // A dead node usually still resolves, otherwise fall back to the last known address
+    const ip = server.resolvedEndpoint?.ip || server.resolvedEndpoint?.baseline?.ip;
+    if (groupBy.includes('ip') && ip) {
+        keys.push(`ip:${ip}`);
+    }
+
+    if (groupBy.includes('window')) {
+        keys.push('window');
+    }
+    return keys;
+}
+
+function describeCorrelationKey(key) {
+    const [kind, ...rest] = key.split(':');
+    const value = rest.join(':');
+    switch (kind) {
+        case 'node': return { label: `Node ${value}`, where: `on node ${value}` };
+        case 'ip': return { label: `Host ${value}`, where: `on ${value}` };
+        default: return { label: 'Multiple servers', where: 'at the same time' };
+    }
+}
+
+// New incidents of the grouped types wait a short window before they are notified. Incidents that
+// share a node or IP in that window become children of one parent incident, which is notified,
+// escalated and resolved for the whole group.
+class IncidentCorrelator {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), 10000);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async getConfig() {
+        const [enabled, groupBy, window, lookback, types] = await Promise.all([
+            getSetting('incident_grouping', true),
+            getSetting('incident_group_by', ['node', 'ip']),
+            getSetting('incident_group_window', 60),
+            getSetting('incident_group_lookback', 600),
+            getSetting('incident_group_types', ['server_offline'])
+        ]);
+        return { enabled, groupBy, window, lookback, types };
+    }
+
+    // Called for a new incident instead of notifying it. Returns false when it is not grouped.
+    async hold(incident, server) {
+        const config = await this.getConfig();
+        if (!config.enabled || !(config.window > 0) || !config.types.includes(incident.type)) {
+            return false;
+        }
+
+        const keys = getCorrelationKeys(server, config.groupBy);
+        if (keys.length === 0) {
+            return false;
+        }
+        incident.correlation = { keys };
+
+        // The node is already known to be down
+        const group = await Incident.findOne({
+            status: { $in: OPEN_INCIDENT_STATUSES },
+            'group.key': { $in: keys }
+        }).sort({ createdAt: -1 });
+        if (group) {
+            await this.join(group, [incident]);
+            if (group.notificationsSent) {
+                await this.monitor.sendIncidentNotifications(group, server, {
+                    update: `${server.name} is affected as well`
+                });
+            }
+            return true;
+        }
+
+        // A server on the same node went down a little earlier and was already notified on its own
+        // (failure thresholds and backoff can confirm outages minutes apart): group the two now
+        const earlier = await Incident.findOne({
+            _id: { $ne: incident._id },
+            serverId: { $ne: incident.serverId },
+            status: { $in: OPEN_INCIDENT_STATUSES },
+            parentId: null,
+            'correlation.keys': { $in: keys },
+            'correlation.pendingUntil': null,
+            createdAt: { $gte: new Date(Date.now() - Math.max(config.lookback, config.window) * 1000) }
+        }).sort({ createdAt: -1 });
+        if (earlier) {
+            const key = keys.find(candidate => earlier.correlation.keys.includes(candidate));
+            await this.createGroup(key, [earlier, incident], server);
+            return true;
+        }
+
+        incident.correlation.pendingUntil = new Date(Date.now() + config.window * 1000);
+        await appendTimeline(incident, 'correlating', `Waiting ${config.window}s for related incidents before notifying`, { keys });
+        return true;
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const due = await Incident.find({
+                status: { $in: OPEN_INCIDENT_STATUSES },
+                'correlation.pendingUntil': { $lte: new Date() }
+            }).sort({ createdAt: 1 }).limit(50);
+
+            for (const incident of due) {
+                await this.release(incident);
+            }
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Incident correlation failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // The window is over: group it with whatever came in meanwhile, or notify it on its own
+    async release(incident) {
+        const claimed = await Incident.findOneAndUpdate(
+            { _id: incident._id, status: { $in: OPEN_INCIDENT_STATUSES }, 'correlation.pendingUntil': { $ne: null } },
+            { $unset: { 'correlation.pendingUntil': 1 } },
+            { new: true }
+        );
+        if (!claimed) return;
+
+        const server = await ServerModel.findById(claimed.serverId);
+        if (!server) return;
+
+        const config = await this.getConfig();
+        for (const key of claimed.correlation.keys) {
+            const related = await Incident.find({
+                _id: { $ne: claimed._id },
+                serverId: { $ne: claimed.serverId },
+                status: { $in: OPEN_INCIDENT_STATUSES },
+                parentId: null,
+                'correlation.keys': key,
+                'correlation.pendingUntil': { $ne: null },
+                createdAt: { $gte: new Date(claimed.createdAt.getTime() - config.window * 1000) }
+            }).sort({ createdAt: 1 });
+            if (related.length === 0) continue;
+
+            await this.createGroup(key, [claimed, ...related], server);
+            return;
+        }
+
+        await appendTimeline(claimed, 'correlating', 'No related incidents, notifying on its own');
+        await this.monitor.notifyIncident(claimed, server);
+    }
+
+    async createGroup(key, incidents, server) {
+        const { label, where } = describeCorrelationKey(key);
+        const group = new Incident({
+            serverId: server._id,
+            type: GROUP_INCIDENT_TYPE,
+            title: label,
+            severity: incidents[0].severity,
+            status: 'active',
+            group: { key, label, serverIds: [] },
+            data: { serverName: label, timestamp: new Date() }
+        });
+        group.timeline.push({ type: 'opened', message: `Opened for incidents ${where}`, data: { key } });
+        await group.save();
+
+        await this.join(group, incidents);
+        await this.monitor.notifyIncident(group, server);
+
+        io.emit('incident', { incident: group, server });
+        await logEvent(group.severity, 'Monitor', `Grouped incident: ${group.title}`, {
+            incidentId: group._id,
+            key,
+            children: group.group.serverIds.length
+        });
+        return group;
+    }
+
+    async join(group, incidents) {
+        const joined = [];
+        for (const child of incidents) {
+            // Another pass may have released or grouped it in the meantime
+            const claimed = await Incident.updateOne(
+                { _id: child._id, parentId: null },
+                { $set: { parentId: group._id }, $unset: { 'correlation.pendingUntil': 1 } }
+            );
+            if (claimed.modifiedCount === 0) continue;
+
+            child.parentId = group._id;
+            child.correlation.pendingUntil = undefined;
+            // From here on the parent escalates for the whole group
+            if (child.escalation?.policyId && !child.escalation.completedAt) {
+                child.escalation.completedAt = new Date();
+            }
+            await appendTimeline(child, 'grouped', `Grouped under ${group.group.label}`, { parentId: group._id });
+            joined.push(child);
+        }
+        if (joined.length === 0) return;
+
+        for (const child of joined) {
+            if (!group.group.serverIds.some(id => id.equals(child.serverId))) {
+                group.group.serverIds.push(child.serverId);
+            }
+            if (SEVERITY_RANK[child.severity] > SEVERITY_RANK[group.severity]) {
+                group.severity = child.severity;
+            }
+        }
+        await this.describeGroup(group);
+        await appendTimeline(group, 'grouped', `${joined.map(child => child.data?.serverName).join(', ')} added to the group`, {
+            incidentIds: joined.map(child => child._id)
+        });
+    }
+
+    async describeGroup(group) {
+        const children = await Incident.find({ parentId: group._id }).sort({ createdAt: 1 });
+        const { where } = describeCorrelationKey(group.group.key);
+        const open = children.filter(child => OPEN_INCIDENT_STATUSES.includes(child.status));
+
+        group.title = `${group.group.serverIds.length} servers down ${where}`;
+        group.description = `${open.length} of ${children.length} affected servers are still down ${where}:\n` +
+            children.map(child => `${OPEN_INCIDENT_STATUSES.includes(child.status) ? '🔴' : '🟢'} ${child.data?.serverName} (${child.data?.serverAddress}): ${child.title}`).join('\n');
+        return open;
+    }
+
+    // A grouped server recovered: the group resolves once the last one does
+    async childResolved(child) {
+        const group = await Incident.findById(child.parentId);
+        if (!group || !OPEN_INCIDENT_STATUSES.includes(group.status)) return;
+
+        const open = await this.describeGroup(group);
+        await appendTimeline(group, 'child_resolved', `${child.data?.serverName} recovered`, { incidentId: child._id });
+
+        if (open.length === 0) {
+            const server = await ServerModel.findById(group.serverId);
+            await this.monitor.resolveIncident(server || { _id: group.serverId, name: group.group.label }, group, {
+                reason: 'All grouped servers recovered',
+                notify: group.notificationsSent
+            });
+        }
+    }
+
+    async resolveChildren(group, reason) {
+        const children = await Incident.find({ parentId: group._id, status: { $in: OPEN_INCIDENT_STATUSES } });
+        for (const child of children) {
+            child.status = 'resolved';
+            child.resolvedAt = new Date();
+            await appendTimeline(child, 'resolved', reason);
+        }
+        await this.describeGroup(group);
+        await group.save();
+    }
+}
+
+// Escalation Runner
+
+// Steps are claimed atomically on the incident, so a restart picks up where it left off
+// and no step is sent twice
+class EscalationRunner {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (!this.timer) {
+            this.timer = setInterval(() => this.tick(), 15000);
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.running) return;
+        this.running = true;
+
+        try {
+            const due = await Incident.find({
+                status: 'active',
+                'escalation.policyId': { $ne: null },
+                'escalation.completedAt': null,
+                'escalation.nextAt': { $lte: new Date() }
+            }).limit(50);
+
+            for (const incident of due) {
+                await this.process(incident);
+            }
+        } catch (error) {
+            await logEvent('error', 'Escalation', `Escalation tick failed: ${error.message}`);
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Run every step that is due by now
+    async process(incident) {
+        let current = incident;
+        while (current && current.escalation?.policyId && !current.escalation.completedAt
+            && current.escalation.nextAt <= new Date()) {
+            current = await this.advance(current);
+        }
+    }
+
+    async advance(incident) {
+        const escalation = incident.escalation;
+        const [policy, server] = await Promise.all([
+            EscalationPolicy.findById(escalation.policyId),
+            ServerModel.findById(incident.serverId)
+        ]);
+
+        if (!policy || !server || escalation.nextStep >= policy.steps.length) {
+            await Incident.updateOne({ _id: incident._id }, { 'escalation.completedAt': new Date() });
+            return null;
+        }
+
+        const stepIndex = escalation.nextStep;
+
+        // Nobody is paged during maintenance: hold the step and shift the rest of the policy with it
+        const maintenance = await getActiveMaintenance(server);
+        if (maintenance) {
+            const delay = Math.max(0, maintenance.end - escalation.nextAt);
+            const held = await Incident.findOneAndUpdate(
+                { _id: incident._id, status: 'active', 'escalation.nextStep': stepIndex },
+                {
+                    $set: {
+                        'escalation.startedAt': new Date(escalation.startedAt.getTime() + delay),
+                        'escalation.nextAt': maintenance.end
+                    }
+                },
+                { new: true }
+            );
+            if (held) {
+                await appendTimeline(held, 'escalation_held',
+                    `Escalation step ${stepIndex + 1} held until maintenance ends (${moment(maintenance.end).format('DD/MM/YYYY HH:mm')})`, {
+                        step: stepIndex + 1,
+                        until: maintenance.end
+                    });
+            }
+            return null;
+        }
+
+        const next = policy.steps[stepIndex + 1];
+        const update = next
+            ? { 'escalation.nextStep': stepIndex + 1, 'escalation.nextAt': new Date(escalation.startedAt.getTime() + next.delayMinutes * 60 * 1000) }
+            : { 'escalation.nextStep': stepIndex + 1, 'escalation.completedAt': new Date() };
+
+        const claimed = await Incident.findOneAndUpdate(
+            { _id: incident._id, status: 'active', 'escalation.nextStep': stepIndex },
+            { $set: update },
+            { new: true }
+        );
+        if (!claimed) {
+            return null;
+        }
+
+        await this.monitor.sendEscalationStep(claimed, server, policy.steps[stepIndex], stepIndex);
+        return claimed;
+    }
+}
+
+// SLA Reports
+function mergeIntervals(intervals) {
+    const sorted = intervals
+        .filter(interval => interval.end > interval.start)
+        .sort((a, b) => a.start - b.start);
+    const merged = [];
+
+    for (const interval of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = new Date(Math.max(last.end, interval.end));
+        } else {
+            merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+        }
+    }
+    return merged;
+}
+
+function subtractIntervals(intervals, excluded) {
+    let result = mergeIntervals(intervals);
+
+    for (const cut of mergeIntervals(excluded)) {
+        const next = [];
+        for (const interval of result) {
+            if (cut.end <= interval.start || cut.start >= interval.end) {
+                next.push(interval);
+                continue;
+            }
+            if (cut.start > interval.start) next.push({ start: interval.start, end: cut.start });
+            if (cut.end < interval.end) next.push({ start: cut.end, end: interval.end });
+        }
+        result = next;
+    }
+    return result;
+}
+
+function totalDuration(intervals) {
+    return intervals.reduce((sum, interval) => sum + (interval.end - interval.start), 0);
+}
+
+async function buildSlaReport(server, from, to) {
+    const now = new Date();
+    const periodStart = new Date(Math.max(from, server.createdAt || from));
+    const periodEnd = new Date(Math.min(to, now));
+    const clip = (start, end) => ({
+        start: new Date(Math.max(start, periodStart)),
+        end: new Date(Math.min(end, periodEnd))
+    });
+
+    const maintenance = mergeIntervals(
+        (await getMaintenanceWindows(server, periodStart, periodEnd)).map(occurrence => clip(occurrence.start, occurrence.end))
+    );
+
+    const incidents = await Incident.find({
+        serverId: server._id,
+        type: 'server_offline',
+        createdAt: { $lte: periodEnd },
+        $or: [{ resolvedAt: null }, { resolvedAt: { $gte: periodStart } }]
+    }).sort({ createdAt: 1 });
+
+    const outages = [];
+    for (const incident of incidents) {
+        const interval = clip(incident.createdAt, incident.resolvedAt || now);
+        const effective = subtractIntervals([interval], maintenance);
+        const duration = totalDuration(effective);
+
+        // Outages entirely inside a maintenance window do not count
+        if (duration <= 0) continue;
+
+        outages.push({
+            incidentId: incident._id,
+            title: incident.title,
+            startedAt: incident.createdAt,
+            resolvedAt: incident.resolvedAt || null,
+            duration: Math.round(duration / 1000),
+            intervals: effective
+        });
+    }
+
+    const periodMs = Math.max(0, periodEnd - periodStart);
+    const maintenanceMs = totalDuration(maintenance);
+    const monitoredMs = Math.max(0, periodMs - maintenanceMs);
+    const downtimeMs = totalDuration(mergeIntervals(outages.flatMap(outage => outage.intervals)));
+    const resolvedOutages = outages.filter(outage => outage.resolvedAt);
+
+    return {
+        server: {
+            id: server._id,
+            name: server.name,
+            address: getServerEndpoint(server)
+        },
+        from: periodStart,
+        to: periodEnd,
+        uptime: monitoredMs > 0 ? +(((monitoredMs - downtimeMs) / monitoredMs) * 100).toFixed(3) : 100,
+        monitoredTime: Math.round(monitoredMs / 1000),
+        downtime: Math.round(downtimeMs / 1000),
+        maintenanceTime: Math.round(maintenanceMs / 1000),
+        incidents: outages.length,
+        mttr: resolvedOutages.length > 0
+            ? Math.round(resolvedOutages.reduce((sum, outage) => sum + outage.duration, 0) / resolvedOutages.length)
+            : null,
+        mtbf: outages.length > 0 ? Math.round((monitoredMs - downtimeMs) / 1000 / outages.length) : null,
+        outages: outages.map(({ intervals, ...outage }) => outage)
+    };
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function slaReportsToCsv(reports, detail) {
+    const rows = [];
+
+    if (detail === 'incidents') {
+        rows.push(['server', 'incident_id', 'title', 'started_at', 'resolved_at', 'duration_minutes']);
+        for (const report of reports) {
+            for (const outage of report.outages) {
+                rows.push([
+                    report.server.name,
+                    outage.incidentId,
+                    outage.title,
+                    moment(outage.startedAt).toISOString(),
+                    outage.resolvedAt ? moment(outage.resolvedAt).toISOString() : '',
+                    (outage.duration / 60).toFixed(1)
+                ]);
+            }
+        }
+    } else {
+        rows.push(['server', 'address', 'period_start', 'period_end', 'uptime_percent', 'downtime_minutes',
+            'maintenance_minutes', 'incidents', 'mttr_minutes', 'mtbf_hours']);
+        for (const report of reports) {
+            rows.push([
+                report.server.name,
+                report.server.address,
+                moment(report.from).toISOString(),
+                moment(report.to).toISOString(),
+                report.uptime,
+                (report.downtime / 60).toFixed(1),
+                (report.maintenanceTime / 60).toFixed(1),
+                report.incidents,
+                report.mttr !== null ? (report.mttr / 60).toFixed(1) : '',
+                report.mtbf !== null ? (report.mtbf / 3600).toFixed(1) : ''
+            ]);
+        }
+    }
+
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    return moment.duration(seconds, 'seconds').humanize();
+}
+
+function slaReportsToHtml(reports, from, to) {
+    const sections = reports.map(report => `
+        <div style="page-break-inside: avoid; margin-bottom: 30px;">
+            <h2 style="margin-bottom: 5px;">${escapeHtml(report.server.name)}</h2>
+            <p style="color: #6c757d; margin-top: 0;">${escapeHtml(report.server.address)}</p>
+            <table style="border-collapse: collapse; width: 100%;">
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>Uptime</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${report.uptime}%</td></tr>
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>Downtime</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${formatDuration(report.downtime)}</td></tr>
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>Maintenance (excluded)</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${formatDuration(report.maintenanceTime)}</td></tr>
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>Incidents</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${report.incidents}</td></tr>
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>MTTR</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${formatDuration(report.mttr)}</td></tr>
+                <tr><td style="padding: 6px; border: 1px solid #dee2e6;"><strong>MTBF</strong></td><td style="padding: 6px; border: 1px solid #dee2e6;">${formatDuration(report.mtbf)}</td></tr>
+            </table>
+            ${report.outages.length > 0 ? `
+            <h3>Outages</h3>
+            <table style="border-collapse: collapse; width: 100%; font-size: 13px;">
+                <tr style="background: #f8f9fa;">
+                    <th style="padding: 6px; border: 1px solid #dee2e6; text-align: left;">Started</th>
+                    <th style="padding: 6px; border: 1px solid #dee2e6; text-align: left;">Resolved</th>
+                    <th style="padding: 6px; border: 1px solid #dee2e6; text-align: left;">Duration</th>
+                </tr>
+                ${report.outages.map(outage => `
+                <tr>
+                    <td style="padding: 6px; border: 1px solid #dee2e6;">${moment(outage.startedAt).format('DD/MM/YYYY HH:mm:ss')}</td>
+                    <td style="padding: 6px; border: 1px solid #dee2e6;">${outage.resolvedAt ? moment(outage.resolvedAt).format('DD/MM/YYYY HH:mm:ss') : 'Ongoing'}</td>
+                    <td style="padding: 6px; border: 1px solid #dee2e6;">${formatDuration(outage.duration)}</td>
+                </tr>`).join('')}
+            </table>` : ''}
+        </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>SLA Report ${moment(from).format('DD/MM/YYYY')} - ${moment(to).format('DD/MM/YYYY')}</title>
+</head>
+<body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px;">
+    <h1>SLA Report</h1>
+    <p><strong>Period:</strong> ${moment(from).format('DD/MM/YYYY HH:mm')} - ${moment(to).format('DD/MM/YYYY HH:mm')}</p>
+    <p><strong>Generated:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>
+    <hr>
+    ${sections}
+    <p style="color: #6c757d; font-size: 12px;">
+        Generated by Forexter Network Monitoring System. Maintenance windows are excluded from uptime.
+    </p>
+</body>
+</html>`;
+}
+
+// Server Monitoring System
+class ServerMonitor {
+    constructor() {
+        this.scheduler = new CheckScheduler(serverId => this.runScheduledCheck(serverId));
+        this.logWatcher = new LogWatcher();
+        this.escalationRunner = new EscalationRunner(this);
+        this.correlator = new IncidentCorrelator(this);
+        this.rules = null;
+        this.escalationPolicies = null;
+    }
+
+    async init() {
+        await this.scheduler.loadConfig();
+        await this.loadServers();
+        await this.reconcileIncidents();
+        this.escalationRunner.start();
+        this.correlator.start();
+        logEvent('info', 'Monitor', 'Monitoring system initialized');
+    }
+
+    // Bring incidents left open by a previous process in line with the latest status
+    async reconcileIncidents() {
+        try {
+            await this.backfillFingerprints();
+
+            const incidents = await Incident.find({ status: { $in: OPEN_INCIDENT_STATUSES } });
+            let resolved = 0;
+
+            // Groups last, their children may resolve them on the way
+            incidents.sort((a, b) => Number(!!a.group?.key) - Number(!!b.group?.key));
+
+            for (const incident of incidents) {
+                if (incident.group?.key) {
+                    const stillOpen = await Incident.exists({ _id: incident._id, status: { $in: OPEN_INCIDENT_STATUSES } });
+                    const openChildren = await Incident.exists({ parentId: incident._id, status: { $in: OPEN_INCIDENT_STATUSES } });
+                    if (stillOpen && !openChildren) {
+                        const server = await ServerModel.findById(incident.serverId);
+                        await this.resolveIncident(server || { _id: incident.serverId, name: incident.group.label }, incident, {
+                            reason: 'All grouped servers recovered',
+                            notify: !!server && incident.notificationsSent
+                        });
+                        resolved += 1;
+                    }
+                    continue;
+                }
+
+                const server = await ServerModel.findById(incident.serverId);
+
+                if (!server || !server.isActive) {
+                    await this.resolveIncident(server || { _id: incident.serverId, name: incident.data?.serverName }, incident, { notify: false });
+                    resolved += 1;
+                    continue;
+                }
+
+                // Closed by checkLogs once the log stays quiet
+                if (incident.type.startsWith(LOG_INCIDENT_PREFIX)) {
+                    continue;
+                }
+
+                const state = server.alertState?.[incident.type];
+
+                if (incident.type === 'flapping') {
+                    if (!server.flapping) {
+                        await this.resolveIncident(server, incident);
+                        resolved += 1;
+                    }
+                    continue;
+                }
+
+                if (state) {
+                    if (!state.open) {
+                        await this.resolveIncident(server, incident, {
+                            notify: !state.flapping && !incident.data?.suppressed
+                        });
+                        resolved += 1;
+                    }
+                    continue;
+                }
+
+                // Incident predates the stored alert state
+                if (await this.isConditionCleared(server, incident.type)) {
+                    await this.resolveIncident(server, incident, { notify: !incident.data?.suppressed });
+                    resolved += 1;
+                } else {
+                    server.alertState = server.alertState || {};
+                    server.alertState[incident.type] = {
+                        failures: 1,
+                        successes: 0,
+                        open: true,
+                        openedAt: incident.createdAt,
+                        flapping: false,
+                        history: [true]
+                    };
+                    server.markModified('alertState');
+                    await server.save();
+                }
+            }
+
+            if (incidents.length > 0) {
+                await logEvent('info', 'Monitor', `Reconciled ${incidents.length} open incidents, ${resolved} resolved`);
+            }
+        } catch (error) {
+            await logEvent('error', 'Monitor', 'Failed to reconcile incidents: ' + error.message);
+        }
+    }
+
+    async loadServers() {
+        try {
+            const servers = await ServerModel.find({ isActive: true });
+            console.log(`📊 Loading ${servers.length} servers for monitoring`);
+            
+            for (const server of servers) {
+                await this.startMonitoring(server);
+            }
+        } catch (error) {
+            console.error('Failed to load servers:', error);
+            logEvent('error', 'Monitor', 'Failed to load servers: ' + error.message);
+        }
+    }
+
+    async startMonitoring(server) {
+        this.scheduler.schedule(server);
+        
+        logEvent('info', 'Monitor', `Started monitoring ${server.name}`, {
+            serverId: server._id,
+            interval: server.checkInterval
+        });
+    }
+
+    async runScheduledCheck(serverId) {
+        // Always check against a fresh document so concurrent edits are not overwritten
+        const server = await ServerModel.findById(serverId);
+        if (!server || !server.isActive) {
+            this.scheduler.unschedule(serverId);
+            return null;
+        }
+        return await this.checkServer(server);
+    }
+
+    async runCheckNow(server) {
+        if (this.scheduler.jobs.has(server._id.toString())) {
+            return await this.scheduler.runNow(server._id);
+        }
+
+        // Servers that are not scheduled (inactive) can still be checked by hand
+        return await this.checkServer(server);
+    }
+
+    async checkServer(server) {
+        const startTime = Date.now();
+        let responseTime = 0;
+        
+        try {
+            // Update server stats
+            server.stats.totalChecks += 1;
+            
+            const status = await this.probeServer(server);
+            status.lastCheck = new Date();
+            responseTime = status.responseTime;
+            const previousStatus = server.lastStatus;
+
+            if (status.online) {
+                await this.collectPerformance(server, status, previousStatus);
+            }
+            await this.collectResources(server, status);
+            await this.checkLogs(server);
+
+            // Update server record
+            server.lastStatus = status;
+            
+            if (status.online) {
+                server.stats.uptimeChecks += 1;
+
+                // Record concurrency
+                if ((status.players?.online || 0) > (server.stats.peakPlayers || 0)) {
+                    server.stats.peakPlayers = status.players.online;
+                    server.stats.peakPlayersAt = status.lastCheck;
+                }
+            } else {
+                server.stats.totalDowntime += server.checkInterval;
+            }
+            
+            await server.save();
+            await this.recordSample(server, status);
+            await this.recordChanges(server, previousStatus, status);
+
+            // Emit to WebSocket
+            io.emit('server-update', {
+                serverId: server._id,
+                status: status,
+                timestamp: new Date()
+            });
+
+            // Check for issues
+            await this.checkForIssues(server, status);
+            await this.trackPlayerSessions(server, status);
+
+            // Log successful check
+            await logEvent('debug', 'Monitor', `Checked ${server.name}: ${status.online ? 'Online' : 'Offline'}`, {
+                serverId: server._id,
+                online: status.online,
+                players: status.players?.online,
+                responseTime: responseTime
+            });
+
+            return status;
+
+        } catch (error) {
+            responseTime = Date.now() - startTime;
+            
+            // Server is considered offline on error
+            const status = {
+                online: false,
+                error: error.message,
+                responseTime: responseTime,
+                lastCheck: new Date(),
+                resolution: error.resolution
+            };
+            await this.collectResources(server, status);
+            await this.checkLogs(server);
+
+            server.lastStatus = status;
+            server.stats.totalDowntime += server.checkInterval;
+            await server.save();
+            await this.recordSample(server, status);
+
+            // Emit update
+            io.emit('server-update', {
+                serverId: server._id,
+                status: status,
+                timestamp: new Date()
+            });
+
+            // Check if this is a new offline incident
+            await this.checkForIssues(server, status);
+            await this.trackPlayerSessions(server, status);
+
+            await logEvent('error', 'Monitor', `Failed to check ${server.name}: ${error.message}`, {
+                serverId: server._id,
+                error: error.message,
+                responseTime: responseTime
+            });
+
+            return status;
+        }
+    }
+
+    async probeServer(server) {
+        const timeout = await getSetting('probe_timeout', 5000);
+        let endpoint = null;
+
+        try {
+            if (RESOLVED_TYPES.includes(server.type)) {
+                endpoint = await this.resolveEndpoint(server);
+            }
+
+            const status = await this.probeNative(server, timeout, endpoint);
+            status.source = 'native';
+            if (endpoint) {
+                status.resolution = endpoint;
+            }
+
+            if (MINECRAFT_TYPES.includes(server.type) && server.query && server.query.enabled) {
+                await this.applyQuery(server, status, timeout, endpoint);
+            }
+            return status;
+        } catch (error) {
+            // Keep resolution data on offline checks so address changes still alert
+            if (endpoint && !error.resolution) {
+                error.resolution = endpoint;
+            }
+
+            // The status API only knows Minecraft servers
+            const fallbackEnabled = MINECRAFT_TYPES.includes(server.type)
+                && (server.apiFallback ?? await getSetting('mcstatus_fallback', false));
+            if (!fallbackEnabled) {
+                throw error;
+            }
+
+            await logEvent('warn', 'Monitor', `Native probe failed for ${server.name}, falling back to status API: ${error.message}`, {
+                serverId: server._id,
+                error: error.message
+            });
+            const status = await queryStatusApi(server);
+            if (error.resolution) {
+                status.resolution = error.resolution;
+            }
+            return status;
+        }
+    }
+
+    async resolveEndpoint(server) {
+        const previous = server.resolvedEndpoint || {};
+        const options = server.resolver || {};
+        const detectChanges = options.detectChanges !== false;
+        let endpoint;
+
+        try {
+            endpoint = await resolveServerAddress(server);
+        } catch (error) {
+            const missing = ['ENOTFOUND', 'ENODATA'].includes(error.code);
+            const resolution = {
+                host: server.address,
+                port: server.port,
+                srv: null,
+                addresses: [],
+                ip: null,
+                changed: false,
+                recordMissing: detectChanges && missing,
+                missingRecord: missing ? server.address : undefined,
+                baseline: previous.baseline
+            };
+            server.resolvedEndpoint = { ...resolution, resolvedAt: new Date() };
+
+            const lookupError = new Error(`DNS lookup failed for ${server.address}: ${error.code || error.message}`);
+            lookupError.resolution = resolution;
+            throw lookupError;
+        }
+
+        // The first successful resolution becomes the expected endpoint
+        const baseline = previous.baseline || {
+            host: endpoint.host,
+            port: endpoint.port,
+            ip: endpoint.ip,
+            addresses: endpoint.addresses,
+            srvTarget: endpoint.srv ? endpoint.srv.target : null,
+            acceptedAt: new Date()
+        };
+
+        const trusted = new Set([...(baseline.addresses || []), ...(options.expectedAddresses || [])]);
+        const ipChanged = !endpoint.addresses.some(address => trusted.has(address));
+        const portChanged = endpoint.port !== baseline.port;
+        const srvMissing = !!baseline.srvTarget && !endpoint.srv;
+
+        const resolution = {
+            ...endpoint,
+            changed: detectChanges && (ipChanged || portChanged),
+            recordMissing: detectChanges && srvMissing,
+            missingRecord: srvMissing ? `_minecraft._tcp.${server.address}` : undefined,
+            baseline
+        };
+
+        if (previous.ip && (previous.ip !== resolution.ip || previous.port !== resolution.port)) {
+            await logEvent('warn', 'DNS', `${server.name} now resolves to ${resolution.ip}:${resolution.port} (was ${previous.ip}:${previous.port})`, {
+                serverId: server._id,
+                previous: { ip: previous.ip, port: previous.port, srv: previous.srv },
+                current: { ip: resolution.ip, port: resolution.port, srv: resolution.srv }
+            });
+        }
+
+        server.resolvedEndpoint = { ...resolution, resolvedAt: new Date() };
+        return resolution;
+    }
+
+    async probeNative(server, timeout, endpoint = null) {
+        const host = endpoint ? endpoint.ip : server.address;
+        const port = endpoint ? endpoint.port : server.port;
+
+        switch (server.type) {
+            case 'bedrock':
+                return await pingBedrock(host, port, timeout);
+
+            case 'java':
+                try {
+                    return await pingJava(host, port, timeout, server.address);
+                } catch (error) {
+                    // Pre-1.7 servers drop the modern handshake
+                    if (!error.protocolError) throw error;
+                    return await pingJavaLegacy(host, port, timeout, server.address);
+                }
+
+            case 'http':
+                return await probeHttp(server, timeout);
+
+            case 'tcp':
+                return await probeTcp(host, port, timeout);
+
+            case 'dns':
+                return await probeDns(server, timeout);
+
+            case 'tls':
+                return await probeTls(server, timeout);
+
+            case 'heartbeat':
+                return checkHeartbeat(server);
+
+            default:
+                throw new Error(`No native probe for server type: ${server.type}`);
+        }
+    }
+
+    async runRcon(server, commands) {
+        // The password is not loaded with the server document
+        const credentials = await ServerModel.findById(server._id).select('+rcon.password');
+        const rcon = credentials?.rcon;
+        if (!rcon || !rcon.enabled || !rcon.password) {
+            throw new Error('RCON is not configured for this server');
+        }
+
+        const timeout = await getSetting('probe_timeout', 5000);
+        return await runRconCommands(rcon.host || server.address, rcon.port || 25575, rcon.password, commands, timeout);
+    }
+
+    // Run a console command on behalf of a user and keep an audit trail in the logs
+    async executeRcon(server, command, actor) {
+        const auditData = {
+            serverId: server._id,
+            command,
+            actor: actor.name,
+            userId: actor.userId,
+            chatId: actor.chatId
+        };
+
+        try {
+            const [output] = await this.runRcon(server, [command]);
+            const response = cleanMotd(output);
+
+            await logEvent('info', 'RCON', `${actor.name} ran "${command}" on ${server.name}`, {
+                ...auditData,
+                response: response.slice(0, 2000)
+            }, actor.ip);
+            return response;
+        } catch (error) {
+            await logEvent('warn', 'RCON', `${actor.name} failed to run "${command}" on ${server.name}: ${error.message}`, {
+                ...auditData,
+                error: error.message
+            }, actor.ip);
+            throw error;
+        }
+    }
+
+    async getPanel(server) {
+        // The API key is not loaded with the server document
+        const credentials = await ServerModel.findById(server._id).select('+panel.apiKey');
+        const panel = credentials?.panel;
+        const url = panel?.url || await getSetting('pterodactyl_url', '');
+        if (!panel || !panel.identifier || !panel.apiKey || !url) {
+            throw new Error('Pterodactyl panel is not configured for this server');
+        }
+        return { url, identifier: panel.identifier, apiKey: panel.apiKey };
+    }
+
+    async getResources(server) {
+        const panel = await this.getPanel(server);
+        const timeout = await getSetting('probe_timeout', 5000);
+        return { ...await getPanelResources(panel, timeout), collectedAt: new Date() };
+    }
+
+    async collectResources(server, status) {
+        if (!server.panel || !server.panel.identifier || server.panel.collectResources === false) {
+            return;
+        }
+
+        try {
+            status.resources = await this.getResources(server);
+        } catch (error) {
+            status.resources = { error: error.message, collectedAt: new Date() };
+
+            if (!server.lastStatus?.resources?.error) {
+                await logEvent('warn', 'Panel', `Resource collection failed for ${server.name}: ${error.message}`, {
+                    serverId: server._id,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    // Send a power signal through the panel on behalf of a user, audited like RCON
+    async executePower(server, signal, actor) {
+        try {
+            const panel = await this.getPanel(server);
+            await sendPanelPower(panel, signal, await getSetting('probe_timeout', 5000));
+
+            await logEvent('info', 'Panel', `${actor.name} sent ${signal} to ${server.name}`, {
+                serverId: server._id,
+                signal,
+                actor: actor.name,
+                userId: actor.userId,
+                chatId: actor.chatId
+            }, actor.ip);
+        } catch (error) {
+            await logEvent('warn', 'Panel', `${actor.name} failed to send ${signal} to ${server.name}: ${error.message}`, {
+                serverId: server._id,
+                signal,
+                actor: actor.name,
+                error: error.message
+            }, actor.ip);
+            throw error;
+        }
+    }
+
+    async collectPerformance(server, status, previous) {
+        const rcon = server.rcon;
+        if (!rcon || !rcon.enabled || rcon.collectPerformance === false) {
+            return;
+        }
+
+        // Between collections the last reading is carried forward
+        const minutes = rcon.performanceInterval || await getSetting('rcon_performance_interval', 5);
+        const last = previous?.performance;
+        if (last && Date.now() - new Date(last.collectedAt).getTime() < minutes * 60 * 1000) {
+            status.performance = last;
+            return;
+        }
+
+        const commands = rcon.performanceCommands && rcon.performanceCommands.length > 0
+            ? rcon.performanceCommands
+            : ['tps', 'gc'];
+
+        try {
+            const outputs = await this.runRcon(server, commands);
+            status.performance = { ...parsePerformance(outputs), collectedAt: new Date() };
+        } catch (error) {
+            status.performance = { error: error.message, collectedAt: new Date() };
+
+            if (!last || !last.error) {
+                await logEvent('warn', 'RCON', `Performance collection failed for ${server.name}: ${error.message}`, {
+                    serverId: server._id,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    async checkLogs(server) {
+        if (!server.logs || !server.logs.enabled || !server.logs.path) {
+            return;
+        }
+
+        try {
+            const { matches, crashReports } = await this.logWatcher.poll(server);
+
+            for (const report of crashReports) {
+                await this.handleLogMatch(server, {
+                    type: `${LOG_INCIDENT_PREFIX}crash`,
+                    title: 'Server Crashed',
+                    severity: 'critical',
+                    line: report.description ? `${report.file}: ${report.description}` : report.file,
+                    excerpt: report.excerpt,
+                    count: 1
+                });
+            }
+
+            for (const match of matches) {
+                await this.handleLogMatch(server, {
+                    type: `${LOG_INCIDENT_PREFIX}${match.pattern.key}`,
+                    title: match.pattern.name || match.pattern.key,
+                    severity: match.pattern.severity || 'warning',
+                    line: match.line,
+                    excerpt: match.excerpt,
+                    count: match.count
+                });
+            }
+
+            const quietMinutes = await getSetting('log_incident_resolve_minutes', 30);
+            const quiet = await Incident.find({
+                serverId: server._id,
+                type: new RegExp(`^${LOG_INCIDENT_PREFIX}`),
+                status: { $in: OPEN_INCIDENT_STATUSES },
+                lastSeenAt: { $lt: new Date(Date.now() - quietMinutes * 60 * 1000) }
+            });
+            for (const incident of quiet) {
+                await this.resolveIncident(server, incident, {
+                    notify: false,
+                    reason: `No matching log lines for ${quietMinutes} minutes`
+                });
+            }
+        } catch (error) {
+            await logEvent('warn', 'LogWatcher', `Failed to read logs of ${server.name}: ${error.message}`, {
+                serverId: server._id,
+                error: error.message
+            });
+        }
+    }
+
+    async handleLogMatch(server, match) {
+        // Repeats only count towards the open incident
+        const existing = await Incident.findOneAndUpdate(
+            { fingerprint: getIncidentFingerprint(server._id, match.type), status: { $in: OPEN_INCIDENT_STATUSES } },
+            { $inc: { occurrences: match.count }, $set: { lastSeenAt: new Date(), 'data.lastLine': match.line } }
+        );
+        if (existing) {
+            return;
+        }
+
+        await this.handleIssue(server, {
+            type: match.type,
+            title: match.title,
+            severity: match.severity,
+            description: `${server.name}: ${match.line.trim().slice(0, 300)}`,
+            occurrences: match.count,
+            data: {
+                logExcerpt: match.excerpt,
+                lastLine: match.line
+            }
+        });
+    }
+
+    async recordChanges(server, previous, status) {
+        // Only compare two answers from the same source, the status API reports differently
+        if (!previous || !previous.online || !status.online || previous.source !== status.source) {
+            return;
+        }
+
+        const changes = [];
+        for (const [field, extract] of Object.entries(CHANGE_FIELDS)) {
+            const before = extract(previous);
+            const after = extract(status);
+            if (before === undefined || after === undefined || before === after) {
+                continue;
+            }
+            changes.push({ field, previous: before, current: after });
+        }
+
+        if (changes.length === 0) {
+            return;
+        }
+
+        try {
+            const notifyChanges = server.alerting?.notifyChanges ?? await getSetting('change_notifications', false);
+            const notifyFields = await getSetting('change_notify_fields', Object.keys(CHANGE_FIELDS));
+            const maintenance = notifyChanges ? await getActiveMaintenance(server) : null;
+
+            for (const change of changes) {
+                const { title, description, severity } = describeServerChange(server, change);
+                const entry = new ServerChange({
+                    serverId: server._id,
+                    ...change,
+                    title,
+                    description,
+                    severity,
+                    detectedAt: status.lastCheck
+                });
+
+                const notify = notifyChanges && notifyFields.includes(change.field);
+                if (notify && maintenance) {
+                    entry.suppressed = 'maintenance';
+                }
+                await entry.save();
+
+                if (notify && !maintenance) {
+                    await this.sendIncidentNotifications(entry, server);
+                }
+
+                io.emit('server-change', {
+                    serverId: server._id,
+                    change: entry
+                });
+
+                await logEvent('info', 'Monitor', `${server.name}: ${description}`, {
+                    serverId: server._id,
+                    changeId: entry._id,
+                    field: change.field
+                });
+            }
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to record changes for ${server.name}: ${error.message}`, {
+                serverId: server._id
+            });
+        }
+    }
+
+    async applyQuery(server, status, timeout, endpoint = null) {
+        try {
+            const host = endpoint ? endpoint.ip : server.address;
+            const query = await queryGameSpy4(host, server.query.port || (endpoint ? endpoint.port : server.port), timeout);
+
+            // Query returns the full player list, status pings only a sample
+            status.players = {
+                online: query.players.online,
+                max: query.players.max || status.players.max,
+                list: query.players.list
+            };
+            status.map = query.map;
+            status.software = query.software;
+            status.plugins = query.plugins;
+            if (!status.motd || !status.motd.clean) {
+                status.motd = { raw: query.motd, clean: cleanMotd(query.motd) };
+            }
+        } catch (error) {
+            status.queryError = error.message;
+        }
+    }
+
+    async recordSample(server, status) {
+        try {
+            const [rawDays, hourlyDays, dailyDays] = await Promise.all([
+                getSetting('history_retention_raw_days', 7),
+                getSetting('history_retention_hourly_days', 90),
+                getSetting('history_retention_daily_days', 730)
+            ]);
+
+            const timestamp = status.lastCheck || new Date();
+            const players = status.online ? (status.players?.online || 0) : 0;
+            const hasLatency = status.online && typeof status.responseTime === 'number';
+
+            await CheckSample.create({
+                serverId: server._id,
+                timestamp,
+                online: status.online,
+                responseTime: status.responseTime,
+                players,
+                maxPlayers: status.players?.max || 0,
+                protocol: status.version?.protocol,
+                error: status.error,
+                expiresAt: moment(timestamp).add(rawDays, 'days').toDate()
+            });
+
+            const rollups = [
+                { resolution: 'hour', bucket: moment(timestamp).startOf('hour'), days: hourlyDays },
+                { resolution: 'day', bucket: moment(timestamp).startOf('day'), days: dailyDays }
+            ];
+
+            for (const rollup of rollups) {
+                const update = {
+                    $inc: {
+                        checks: 1,
+                        onlineChecks: status.online ? 1 : 0,
+                        playersSum: players
+                    },
+                    $max: { playersPeak: players },
+                    $set: { expiresAt: rollup.bucket.clone().add(rollup.days, 'days').toDate() }
+                };
+
+                if (hasLatency) {
+                    update.$inc.latencySum = status.responseTime;
+                    update.$inc.latencyCount = 1;
+                    update.$min = { latencyMin: status.responseTime };
+                    update.$max.latencyMax = status.responseTime;
+                }
+
+                await CheckRollup.updateOne(
+                    { serverId: server._id, resolution: rollup.resolution, bucket: rollup.bucket.toDate() },
+                    update,
+                    { upsert: true }
+                );
+            }
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to record check history: ${error.message}`, {
+                serverId: server._id
+            });
+        }
+    }
+
+    async trackPlayerSessions(server, status) {
+        try {
+            const now = status.lastCheck || new Date();
+            const openSessions = await PlayerSession.find({ serverId: server._id, endedAt: null });
+            const sessionKey = (uuid, name) => uuid || String(name).toLowerCase();
+
+            // Runs after checkForIssues, so a single dropped ping does not split every session.
+            // Sessions end once the offline alert opens, at its first failed check.
+            if (!status.online) {
+                const offline = server.alertState?.server_offline;
+                if (offline && !offline.open) {
+                    return;
+                }
+
+                const endedAt = offline?.activeSince ? new Date(offline.activeSince) : now;
+                for (const session of openSessions) {
+                    await this.endPlayerSession(server, session, endedAt < session.startedAt ? now : endedAt, 'server_offline');
+                }
+                return;
+            }
+
+            const list = (status.players && status.players.list) || [];
+            const current = new Map(list
+                .filter(player => player.name)
+                .map(player => [sessionKey(player.uuid, player.name), player]));
+            const open = new Map(openSessions.map(session => [sessionKey(session.playerUuid, session.playerName), session]));
+
+            // Joins
+            for (const [key, player] of current) {
+                if (open.has(key)) continue;
+
+                const session = await PlayerSession.create({
+                    serverId: server._id,
+                    playerName: player.name,
+                    playerUuid: player.uuid || undefined,
+                    startedAt: now
+                });
+
+                io.emit('player-join', { serverId: server._id, player: player.name, timestamp: now });
+                await logEvent('debug', 'Players', `${player.name} joined ${server.name}`, {
+                    serverId: server._id,
+                    sessionId: session._id
+                });
+            }
+
+            // A sampled list (status ping caps it) cannot tell us who left
+            const listComplete = current.size >= (status.players?.online || 0);
+            if (!listComplete) return;
+
+            // Leaves
+            for (const [key, session] of open) {
+                if (!current.has(key)) {
+                    await this.endPlayerSession(server, session, now, 'left');
+                }
+            }
+        } catch (error) {
+            await logEvent('error', 'Players', `Failed to track player sessions: ${error.message}`, {
+                serverId: server._id
+            });
+        }
+    }
+
+    async endPlayerSession(server, session, endedAt, reason) {
+        session.endedAt = endedAt;
+        session.duration = Math.max(0, Math.round((endedAt - session.startedAt) / 1000));
+        session.endReason = reason;
+        await session.save();
+
+        io.emit('player-leave', { serverId: server._id, player: session.playerName, reason, timestamp: endedAt });
+        await logEvent('debug', 'Players', `${session.playerName} left ${server.name} (${reason})`, {
+            serverId: server._id,
+            sessionId: session._id,
+            duration: session.duration
+        });
+    }
+
+    async checkForIssues(server, status) {
+        const conditions = await this.evaluateConditions(server, status);
+
+        const [defaultOpen, defaultClose, flapWindow, flapHigh, flapLow] = await Promise.all([
+            getSetting('alert_failures_to_open', 3),
+            getSetting('alert_successes_to_close', 2),
+            getSetting('flap_window', 20),
+            getSetting('flap_threshold_high', 0.5),
+            getSetting('flap_threshold_low', 0.25)
+        ]);
+
+        const config = {
+            defaultOpen,
+            defaultClose,
+            flapWindow,
+            flapHigh,
+            flapLow,
+            flapDetection: server.alerting?.flapDetection !== false
+        };
+
+        if (!server.alertState) {
+            server.alertState = {};
+        }
+
+        // Process each condition
+        for (const condition of conditions) {
+            await this.processCondition(server, condition, config);
+        }
+
+        server.flapping = Object.values(server.alertState).some(state => state.flapping);
+        server.markModified('alertState');
+        await server.save();
+
+        // Incidents whose rule no longer applies can never clear on their own
+        const evaluatedTypes = conditions.map(condition => condition.type);
+        const orphaned = await Incident.find({
+            serverId: server._id,
+            status: { $in: OPEN_INCIDENT_STATUSES },
+            type: { $nin: [...evaluatedTypes, 'flapping', GROUP_INCIDENT_TYPE], $not: new RegExp(`^${LOG_INCIDENT_PREFIX}`) }
+        });
+        for (const incident of orphaned) {
+            await this.resolveIncident(server, incident);
+        }
+
+        if (!status.online) {
+            await this.runRemediation(server);
+        }
+
+        await this.sendRepeatNotifications(server);
+    }
+
+    // Remind about incidents nobody has acknowledged yet
+    async sendRepeatNotifications(server) {
+        const repeatMinutes = await getSetting('incident_repeat_minutes', 30);
+        if (!repeatMinutes || repeatMinutes <= 0) {
+            return;
+        }
+
+        // Grouped incidents are reminded about through their parent
+        const due = await Incident.find({
+            serverId: server._id,
+            status: 'active',
+            parentId: null,
+            notificationsSent: true,
+            lastNotifiedAt: { $lt: new Date(Date.now() - repeatMinutes * 60 * 1000) }
+        });
+        if (due.length === 0 || await getActiveMaintenance(server)) {
+            return;
+        }
+
+        for (const incident of due) {
+            // Escalation policies send their own follow-ups
+            if (incident.escalation?.policyId && !incident.escalation.completedAt) continue;
+            await this.sendIncidentNotifications(incident, server, { repeat: true });
+        }
+    }
+
+    async acknowledgeIncident(incident, actor) {
+        if (incident.status !== 'active') {
+            throw new Error(`Incident is ${incident.status}`);
+        }
+
+        incident.status = 'acknowledged';
+        incident.acknowledgedAt = new Date();
+        incident.acknowledgedBy = actor.name;
+        if (!incident.assignee && actor.userId) {
+            incident.assignee = actor.userId;
+        }
+        await appendTimeline(incident, 'acknowledged', `Acknowledged by ${actor.name}`, {
+            userId: actor.userId,
+            chatId: actor.chatId
+        });
+
+        const server = await ServerModel.findById(incident.serverId);
+
+        io.emit('incident-acknowledged', {
+            incidentId: incident._id,
+            serverId: incident.serverId,
+            acknowledgedBy: actor.name,
+            timestamp: incident.acknowledgedAt
+        });
+
+        await logEvent('info', 'Incident', `${incident.title} acknowledged by ${actor.name}`, {
+            incidentId: incident._id,
+            serverId: incident.serverId
+        });
+
+        if (server) {
+            await this.sendAcknowledgementNotification(server, incident, actor);
+        }
+        return incident;
+    }
+
+    // Whoever is on call for the server, falling back to the admin contact settings
+    async getNotificationContacts(server) {
+        const [adminEmail, adminPhone] = await Promise.all([
+            getSetting('admin_email'),
+            getSetting('admin_phone')
+        ]);
+
+        let onCall = null;
+        try {
+            onCall = server && server._id ? await findOnCallUser(server) : null;
+        } catch (error) {
+            await logEvent('warn', 'OnCall', `Failed to resolve on-call user: ${error.message}`);
+        }
+
+        return {
+            email: onCall?.email || adminEmail,
+            phone: onCall?.phone || adminPhone,
+            telegramChatId: onCall?.telegramChatId || null,
+            onCall
+        };
+    }
+
+    async sendAcknowledgementNotification(server, incident, actor) {
+        try {
+            const ackMessage = `👀 Acknowledged: ${incident.title} - ${incident.group?.label || server.name}\n\n` +
+                `${actor.name} is handling this incident.\n\nTime: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+
+            const emailEnabled = await getSetting('email_enabled', false);
+            const telegramEnabled = await getSetting('telegram_enabled', true);
+            const whatsappEnabled = await getSetting('whatsapp_enabled', false);
+
+            const { email: recipientEmail, phone: recipientPhone, telegramChatId: onCallChatId } = await this.getNotificationContacts(server);
+
+            if (emailEnabled && recipientEmail) {
+                await sendEmail(recipientEmail, `[ACK] ${incident.group?.label || server.name}: ${incident.title}`,
+                    `<h2>👀 Incident Acknowledged</h2>
+                    <p><strong>Server:</strong> ${incident.group?.label || server.name}</p>
+                    <p><strong>Incident:</strong> ${incident.title}</p>
+                    <p><strong>Handled by:</strong> ${escapeHtml(actor.name)}</p>
+                    <p><strong>Time:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>`);
+            }
+
+            if (whatsappEnabled && recipientPhone && whatsappReady) {
+                await sendWhatsAppMessage(recipientPhone, ackMessage);
+            }
+
+            if (telegramEnabled && telegramReady) {
+                for (const chatId of await getTelegramRecipients(onCallChatId)) {
+                    // The chat that acknowledged already knows
+                    if (chatId === actor.chatId) continue;
+                    await sendTelegramMessage(chatId, escapeMarkdown(ackMessage));
+                }
+            }
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to send acknowledgement notification: ${error.message}`);
+        }
+    }
+
+    // Run the first due remediation action for a server_offline incident that stays open
+    async runRemediation(server) {
+        const actions = (server.remediation || []).filter(action => action.enabled !== false);
+        if (actions.length === 0) {
+            return;
+        }
+
+        const incident = await Incident.findOne({
+            serverId: server._id,
+            type: 'server_offline',
+            status: { $in: OPEN_INCIDENT_STATUSES }
+        });
+        if (!incident || await getActiveMaintenance(server)) {
+            return;
+        }
+
+        const openMinutes = (Date.now() - incident.createdAt.getTime()) / 60000;
+        const state = server.remediationState || {};
+
+        for (const action of actions) {
+            const actionId = String(action._id);
+            const attempts = incident.timeline.filter(entry => entry.type === 'remediation' && entry.data?.actionId === actionId).length;
+            const lastRun = state[actionId] ? new Date(state[actionId]).getTime() : 0;
+
+            if (openMinutes < action.afterMinutes
+                || attempts >= action.maxAttempts
+                || Date.now() - lastRun < action.cooldownMinutes * 60000) {
+                continue;
+            }
+
+            server.remediationState = { ...state, [actionId]: new Date() };
+            server.markModified('remediationState');
+            await server.save();
+
+            let outcome;
+            try {
+                outcome = { success: true, output: await this.executeRemediation(server, action) };
+            } catch (error) {
+                outcome = { success: false, error: error.message };
+            }
+
+            const attempt = `${attempts + 1}/${action.maxAttempts}`;
+            const message = outcome.success
+                ? `Remediation ${action.type} attempt ${attempt} succeeded`
+                : `Remediation ${action.type} attempt ${attempt} failed: ${outcome.error}`;
+
+            await appendTimeline(incident, 'remediation', message, {
+                actionId,
+                action: action.type,
+                attempt: attempts + 1,
+                ...outcome,
+                output: outcome.output ? String(outcome.output).slice(0, 2000) : undefined
+            });
+
+            await logEvent(outcome.success ? 'info' : 'warn', 'Remediation', `${server.name}: ${message}`, {
+                serverId: server._id,
+                incidentId: incident._id,
+                action: action.type
+            });
+            return;
+        }
+    }
+
+    async executeRemediation(server, action) {
+        const actor = { name: 'remediation' };
+
+        switch (action.type) {
+            case 'http': {
+                if (!action.url) throw new Error('No URL configured');
+                const response = await axios.request({
+                    method: action.method || 'POST',
+                    url: action.url,
+                    headers: action.headers,
+                    data: action.body ?? {
+                        serverId: server._id,
+                        serverName: server.name,
+                        address: getServerEndpoint(server)
+                    },
+                    timeout: action.timeout
+                });
+                return `HTTP ${response.status}`;
+            }
+
+            case 'rcon':
+                if (!action.command) throw new Error('No command configured');
+                return await this.executeRcon(server, action.command, actor);
+
+            case 'panel_restart':
+                await this.executePower(server, 'restart', actor);
+                return 'Restart signal sent';
+
+            case 'script':
+                return await runRemediationScript(server, action);
+
+            default:
+                throw new Error(`Unknown remediation type: ${action.type}`);
+        }
+    }
+
+    async loadRules() {
+        if (!this.rules) {
+            // Inactive rules too, a disabled server rule switches off the global one with its key
+            this.rules = await AlertRule.find();
+        }
+        return this.rules;
+    }
+
+    invalidateRules() {
+        this.rules = null;
+    }
+
+    async getRulesForServer(server) {
+        return selectRulesForServer(await this.loadRules(), server);
+    }
+
+    // Evaluate every applicable rule; active is null when the metric is unavailable
+    async evaluateConditions(server, status) {
+        const rules = await this.getRulesForServer(server);
+        return rules.map(rule => evaluateRule(rule, server, status));
+    }
+
+    getThresholds(server, type, config) {
+        const alerting = server.alerting || {};
+        const override = (alerting.issues && alerting.issues[type]) || {};
+
+        return {
+            open: override.failuresToOpen ?? alerting.failuresToOpen ?? config.defaultOpen,
+            close: override.successesToClose ?? alerting.successesToClose ?? config.defaultClose
+        };
+    }
+
+    async processCondition(server, condition, config) {
+        if (condition.active === null) return;
+
+        const state = server.alertState[condition.type] || {
+            failures: 0,
+            successes: 0,
+            open: false,
+            flapping: false,
+            history: []
+        };
+
+        // Flap detection: share of state changes across the recent check window
+        state.history.push(condition.active);
+        if (state.history.length > config.flapWindow) {
+            state.history = state.history.slice(-config.flapWindow);
+        }
+
+        if (config.flapDetection && state.history.length >= 5) {
+            let changes = 0;
+            for (let i = 1; i < state.history.length; i++) {
+                if (state.history[i] !== state.history[i - 1]) changes += 1;
+            }
+            const changeRatio = changes / (state.history.length - 1);
+
+            if (!state.flapping && changeRatio >= config.flapHigh) {
+                state.flapping = true;
+                await this.handleIssue(server, {
+                    type: 'flapping',
+                    severity: 'warning',
+                    title: 'Server Flapping',
+                    description: `Server ${server.name} keeps switching state for ${condition.issue.title} (${changes} changes in the last ${state.history.length} checks). Notifications are held back until it stabilises.`
+                });
+            } else if (state.flapping && changeRatio <= config.flapLow) {
+                state.flapping = false;
+                await this.resolveFlapping(server, condition.type);
+            }
+        } else if (state.flapping) {
+            state.flapping = false;
+            await this.resolveFlapping(server, condition.type);
+        }
+
+        if (condition.active) {
+            state.failures += 1;
+            state.successes = 0;
+            state.activeSince = state.activeSince || new Date();
+        } else {
+            state.successes += 1;
+            state.failures = 0;
+            state.activeSince = null;
+        }
+
+        const thresholds = this.getThresholds(server, condition.type, config);
+        const heldLongEnough = Date.now() - new Date(state.activeSince).getTime() >= (condition.duration || 0) * 1000;
+
+        if (condition.active && (state.open || (state.failures >= thresholds.open && heldLongEnough))) {
+            if (!state.open) {
+                state.open = true;
+                state.openedAt = new Date();
+            }
+            await this.handleIssue(server, condition.issue, { notify: !state.flapping });
+        } else if (state.open && !condition.active && state.successes >= thresholds.close) {
+            state.open = false;
+            state.closedAt = new Date();
+
+            const incidents = await Incident.find({
+                serverId: server._id,
+                type: condition.type,
+                status: { $in: OPEN_INCIDENT_STATUSES }
+            });
+            for (const incident of incidents) {
+                await this.resolveIncident(server, incident, {
+                    notify: !state.flapping && !incident.data?.suppressed
+                });
+            }
+        }
+
+        server.alertState[condition.type] = state;
+    }
+
+    async resolveFlapping(server, issueType) {
+        // Other issue types may still be oscillating
+        const stillFlapping = Object.entries(server.alertState)
+            .some(([type, state]) => type !== issueType && state.flapping);
+        if (stillFlapping) return;
+
+        const incident = await Incident.findOne({
+            serverId: server._id,
+            type: 'flapping',
+            status: { $in: OPEN_INCIDENT_STATUSES }
+        });
+
+        if (incident) {
+            await this.resolveIncident(server, incident);
+        }
+    }
+
+    async handleIssue(server, issue, options = {}) {
+        try {
+            // The condition is still there: count it on the incident that is already open
+            const fingerprint = getIncidentFingerprint(server._id, issue.type, issue.labels);
+            const existingIncident = await this.recordOccurrence(fingerprint);
+
+            const maintenance = await getActiveMaintenance(server);
+
+            if (existingIncident) {
+                // Still broken after the maintenance window ended: notify now
+                if (existingIncident.data?.suppressed === 'maintenance' && !maintenance && options.notify !== false) {
+                    existingIncident.data = { ...existingIncident.data, suppressed: undefined };
+                    existingIncident.markModified('data');
+                    await existingIncident.save();
+                    await this.notifyIncident(existingIncident, server);
+                }
+                return;
+            }
+
+            // Tell why the server died, not only that it stopped answering
+            let description = issue.description;
+            const issueData = { ...issue.data };
+            if (issue.type === 'server_offline' && server.logs?.enabled && server.logs.path) {
+                try {
+                    const context = await this.logWatcher.getContext(server);
+                    issueData.logExcerpt = context.lines || undefined;
+                    if (context.crashReport) {
+                        issueData.crashReport = context.crashReport;
+                        description += `\nCrash report ${context.crashReport.file}: ${context.crashReport.description || 'no description'}`;
+                    }
+                } catch (error) {
+                    issueData.logError = error.message;
+                }
+            }
+
+            let suppressed;
+            if (maintenance) {
+                suppressed = 'maintenance';
+            } else if (options.notify === false) {
+                suppressed = 'flapping';
+            }
+
+            // Create new incident
+            const incident = new Incident({
+                serverId: server._id,
+                type: issue.type,
+                fingerprint,
+                labels: issue.labels,
+                occurrences: issue.occurrences,
+                title: issue.title,
+                description,
+                severity: issue.severity,
+                status: 'active',
+                data: {
+                    ...issueData,
+                    serverName: server.name,
+                    serverAddress: getServerEndpoint(server),
+                    timestamp: new Date(),
+                    suppressed,
+                    maintenanceId: maintenance ? maintenance.window._id : undefined
+                }
+            });
+
+            incident.timeline.push({
+                type: 'opened',
+                message: suppressed ? `Opened, notifications held back (${suppressed})` : 'Opened',
+                data: { severity: issue.severity }
+            });
+
+            try {
+                await incident.save();
+            } catch (error) {
+                // A concurrent check opened it first
+                if (error.code === 11000) {
+                    await this.recordOccurrence(fingerprint);
+                    return;
+                }
+                throw error;
+            }
+
+            // Send notifications (held back during maintenance or while the server is flapping,
+            // grouped incidents are notified through their parent)
+            if (!suppressed && !(await this.correlator.hold(incident, server))) {
+                await this.notifyIncident(incident, server);
+            }
+
+            // Emit to WebSocket
+            io.emit('incident', {
+                incident: incident,
+                server: server
+            });
+
+            // Log incident
+            await logEvent(issue.severity, 'Monitor', `New incident: ${issue.title}`, {
+                incidentId: incident._id,
+                serverId: server._id,
+                type: issue.type,
+                severity: issue.severity
+            });
+
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to handle issue: ${error.message}`, {
+                serverId: server._id,
+                issue: issue
+            });
+        }
+    }
+
+    async recordOccurrence(fingerprint) {
+        return Incident.findOneAndUpdate(
+            { fingerprint, status: { $in: OPEN_INCIDENT_STATUSES } },
+            { $inc: { occurrences: 1 }, $set: { lastSeenAt: new Date() } },
+            { new: true }
+        );
+    }
+
+    // Incidents opened before fingerprints existed, duplicates are folded into the newest one
+    async backfillFingerprints() {
+        const incidents = await Incident.find({
+            status: { $in: OPEN_INCIDENT_STATUSES },
+            fingerprint: { $exists: false },
+            type: { $ne: GROUP_INCIDENT_TYPE }
+        }).sort({ createdAt: -1 });
+
+        for (const incident of incidents) {
+            // Rule incidents get the labels the current rule would give them
+            const server = await ServerModel.findById(incident.serverId);
+            const rule = server ? (await this.getRulesForServer(server)).find(candidate => candidate.key === incident.type) : null;
+            if (rule) {
+                incident.labels = getRuleLabels(rule);
+            }
+
+            const fingerprint = getIncidentFingerprint(incident.serverId, incident.type, incident.labels);
+            const kept = await Incident.findOne({ fingerprint, status: { $in: OPEN_INCIDENT_STATUSES } });
+
+            if (kept) {
+                await Incident.updateOne({ _id: kept._id }, { $inc: { occurrences: incident.occurrences || 1 } });
+                incident.status = 'resolved';
+                incident.resolvedAt = new Date();
+                await appendTimeline(incident, 'resolved', 'Merged into the newer incident for the same condition', {
+                    incidentId: kept._id
+                });
+                continue;
+            }
+
+            incident.fingerprint = fingerprint;
+            // Log incidents resolve once they go quiet, keep their last match
+            incident.lastSeenAt = incident.data?.lastMatchAt || new Date();
+            incident.markModified('lastSeenAt');
+            await incident.save();
+        }
+    }
+
+    async loadEscalationPolicies() {
+        if (!this.escalationPolicies) {
+            this.escalationPolicies = await EscalationPolicy.find({ isActive: true });
+        }
+        return this.escalationPolicies;
+    }
+
+    invalidateEscalationPolicies() {
+        this.escalationPolicies = null;
+    }
+
+    // Hand the incident to its escalation policy, or notify every channel at once without one
+    async notifyIncident(incident, server) {
+        const policy = selectEscalationPolicy(await this.loadEscalationPolicies(), server, incident.severity);
+        if (!policy) {
+            await this.sendIncidentNotifications(incident, server);
+            return;
+        }
+
+        const startedAt = new Date();
+        incident.escalation = {
+            policyId: policy._id,
+            policyName: policy.name,
+            startedAt,
+            nextStep: 0,
+            nextAt: new Date(startedAt.getTime() + policy.steps[0].delayMinutes * 60 * 1000)
+        };
+        await appendTimeline(incident, 'escalation_started', `Escalation policy ${policy.name} started`, {
+            policyId: policy._id
+        });
+
+        await this.escalationRunner.process(incident);
+    }
+
+    async sendEscalationStep(incident, server, step, stepIndex) {
+        const subject = `[${incident.severity.toUpperCase()}] ${incident.title}`;
+        const message = `🚨 ${incident.severity.toUpperCase()}: ${incident.group?.label || server.name}\n\n${incident.description}\n\n` +
+            `Escalation step ${stepIndex + 1} - open since ${moment(incident.createdAt).fromNow(true)}, not acknowledged\n` +
+            `Time: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+
+        // Respect the same channel switches as every other notification
+        const [emailEnabled, whatsappEnabled, telegramEnabled] = await Promise.all([
+            getSetting('email_enabled', false),
+            getSetting('whatsapp_enabled', false),
+            getSetting('telegram_enabled', true)
+        ]);
+        const enabled = { email: emailEnabled, whatsapp: whatsappEnabled, telegram: telegramEnabled };
+        const channels = step.channels.filter(channel => enabled[channel]);
+        const disabled = step.channels.filter(channel => !enabled[channel]);
+
+        const notifications = [];
+        for (const channel of channels) {
+            const recipients = await resolveEscalationRecipients(step, channel, server);
+            for (const recipient of recipients) {
+                try {
+                    await deliverNotification(channel, recipient, subject, message);
+                    notifications.push({ type: channel, recipient, status: 'sent' });
+                } catch (error) {
+                    notifications.push({ type: channel, recipient, status: 'failed', error: error.message });
+                }
+            }
+        }
+
+        for (const notif of notifications) {
+            await Notification.create({
+                type: notif.type,
+                title: incident.title,
+                message: incident.description,
+                recipient: notif.recipient,
+                status: notif.status,
+                error: notif.error,
+                sentAt: new Date()
+            });
+        }
+
+        const sent = notifications.filter(notif => notif.status === 'sent');
+        incident.notificationsSent = incident.notificationsSent || sent.length > 0;
+        incident.lastNotifiedAt = new Date();
+        const skippedNote = disabled.length > 0 ? `, skipped disabled ${disabled.join(', ')}` : '';
+        await appendTimeline(incident, 'escalation', channels.length > 0
+            ? `Escalation step ${stepIndex + 1}: ${channels.join(', ')} to ${step.target} (${sent.length}/${notifications.length} delivered${skippedNote})`
+            : `Escalation step ${stepIndex + 1} skipped, all its channels are disabled (${disabled.join(', ')})`, {
+                step: stepIndex + 1,
+                channels,
+                disabled,
+                target: step.target,
+                sent: sent.length,
+                failed: notifications.length - sent.length
+            });
+    }
+
+    async sendIncidentNotifications(incident, server, options = {}) {
+        try {
+            const notifications = [];
+            const logExcerpt = incident.data?.logExcerpt ? incident.data.logExcerpt.split('\n').slice(-10).join('\n') : null;
+            const subjectName = incident.group?.label || server.name;
+            let headline = `🚨 ${incident.severity.toUpperCase()}: ${subjectName}`;
+            if (options.repeat) {
+                headline = `🔁 REMINDER ${incident.severity.toUpperCase()}: ${subjectName} (open since ${moment(incident.createdAt).fromNow(true)})`;
+            } else if (options.update) {
+                headline = `➕ UPDATE ${incident.severity.toUpperCase()}: ${subjectName}\n${options.update}`;
+            }
+            const incidentMessage = `${headline}\n\n${incident.description}\n\n` +
+                (logExcerpt ? `Log:\n${logExcerpt}\n\n` : '') +
+                `Time: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+            
+            // Get notification settings
+            const emailEnabled = await getSetting('email_enabled', false);
+            const telegramEnabled = await getSetting('telegram_enabled', true);
+            const whatsappEnabled = await getSetting('whatsapp_enabled', false);
+            
+            const { email: recipientEmail, phone: recipientPhone, telegramChatId: onCallChatId } = await this.getNotificationContacts(server);
+            
+            // Check severity settings
+            const sendCritical = await getSetting('notify_critical', true);
+            const sendWarning = await getSetting('notify_warning', true);
+            const sendInfo = await getSetting('notify_info', false);
+            
+            let shouldSend = false;
+            switch (incident.severity) {
+                case 'critical': shouldSend = sendCritical; break;
+                case 'warning': shouldSend = sendWarning; break;
+                case 'info': shouldSend = sendInfo; break;
+            }
+            
+            if (!shouldSend) return;
+
+            // Send Email
+            if (emailEnabled && recipientEmail) {
+                try {
+                    const emailHtml = `
+                        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                            <div style="background: ${incident.severity === 'critical' ? '#dc3545' : incident.severity === 'warning' ? '#ffc107' : '#17a2b8'}; color: white; padding: 20px; border-radius: 5px 5px 0 0;">
+                                <h2 style="margin: 0;">${incident.title}</h2>
+                            </div>
+                            <div style="padding: 20px; background: #f8f9fa; border: 1px solid #dee2e6; border-top: none;">
+                                <h3>${incident.group?.key ? escapeHtml(subjectName) : `Server: ${server.name}`}</h3>
+                                ${options.update ? `<p><strong>${escapeHtml(options.update)}</strong></p>` : ''}
+                                <p>${incident.group?.key ? escapeHtml(incident.description).replace(/\n/g, '<br>') : incident.description}</p>
+                                ${incident.data?.logExcerpt ? `<pre style="background: #212529; color: #f8f9fa; padding: 10px; font-size: 12px; overflow-x: auto;">${escapeHtml(incident.data.logExcerpt)}</pre>` : ''}
+                                <hr>
+                                ${incident.group?.key ? '' : `<p><strong>Server Address:</strong> ${getServerEndpoint(server)}</p>`}
+                                <p><strong>Time:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>
+                                <p><strong>Severity:</strong> ${incident.severity}</p>
+                                <hr>
+                                <p style="color: #6c757d; font-size: 12px;">
+                                    This is an automated notification from Forexter Network Monitoring System.
+                                </p>
+                            </div>
+                        </div>
+                    `;
+                    
+                    const prefix = options.repeat ? '[REMINDER] ' : options.update ? '[UPDATE] ' : '';
+                    await sendEmail(recipientEmail, `${prefix}[${incident.severity.toUpperCase()}] ${incident.title}`, emailHtml);
+                    
+                    notifications.push({
+                        type: 'email',
+                        recipient: recipientEmail,
+                        status: 'sent'
+                    });
+                    
+                } catch (error) {
+                    notifications.push({
+                        type: 'email',
+                        recipient: recipientEmail,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
+
+            // Send WhatsApp
+            if (whatsappEnabled && recipientPhone && whatsappReady) {
+                try {
+                    await sendWhatsAppMessage(recipientPhone, incidentMessage);
+                    
+                    notifications.push({
+                        type: 'whatsapp',
+                        recipient: recipientPhone,
+                        status: 'sent'
+                    });
+                    
+                } catch (error) {
+                    notifications.push({
+                        type: 'whatsapp',
+                        recipient: recipientPhone,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
+
+            // Send Telegram
+            if (telegramEnabled && telegramReady) {
+                try {
+                    // Subscribed chats plus the on-call user
+                    for (const chatId of await getTelegramRecipients(onCallChatId)) {
+                        try {
+                            // Log lines and descriptions are full of _, * and [
+                            await sendTelegramMessage(chatId, escapeMarkdown(incidentMessage));
+                            
+                            notifications.push({
+                                type: 'telegram',
+                                recipient: chatId,
+                                status: 'sent'
+                            });
+                            
+                        } catch (error) {
+                            notifications.push({
+                                type: 'telegram',
+                                recipient: chatId,
+                                status: 'failed',
+                                error: error.message
+                            });
+                        }
+                    }
+                    
+                } catch (error) {
+                    notifications.push({
+                        type: 'telegram',
+                        recipient: 'subscribers',
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
+
+            // Save notification records
+            for (const notif of notifications) {
+                const notification = new Notification({
+                    type: notif.type,
+                    title: incident.title,
+                    message: incident.description,
+                    recipient: notif.recipient,
+                    status: notif.status,
+                    error: notif.error,
+                    sentAt: new Date()
+                });
+                await notification.save();
+            }
+
+            // Mark incident as notified
+            incident.notificationsSent = true;
+            incident.lastNotifiedAt = new Date();
+
+            // Server change entries are notified the same way but have no timeline
+            if (incident.timeline) {
+                const sent = notifications.filter(notif => notif.status === 'sent');
+                const channels = [...new Set(sent.map(notif => notif.type))];
+                incident.timeline.push({
+                    type: 'notification',
+                    message: channels.length > 0
+                        ? `${options.repeat ? 'Reminder sent' : options.update ? 'Update sent' : 'Notified'} via ${channels.join(', ')}`
+                        : 'No notification could be delivered',
+                    data: {
+                        repeat: !!options.repeat,
+                        update: options.update,
+                        sent: sent.length,
+                        failed: notifications.length - sent.length
+                    }
+                });
+            }
+            await incident.save();
+
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to send notifications: ${error.message}`, {
+                incidentId: incident._id
+            });
+        }
+    }
+
+    async isConditionCleared(server, type) {
+        // Without any rules loaded nothing can be said about the condition
+        if ((await this.loadRules()).length === 0) return false;
+
+        const rule = (await this.getRulesForServer(server)).find(r => r.key === type);
+
+        // The rule was removed or disabled, nothing keeps the incident open
+        if (!rule) return true;
+
+        // Recovery needs the configured number of successful checks
+        const state = server.alertState?.[type];
+        if (state) return !state.open;
+
+        return evaluateRule(rule, server, server.lastStatus || {}).active === false;
+    }
+
+    async resolveIncident(server, incident, options = {}) {
+        // Cleared within the correlation window, so nobody was told about it
+        const pending = !!incident.correlation?.pendingUntil;
+
+        // Resolve the incident
+        incident.status = 'resolved';
+        incident.resolvedAt = new Date();
+        if (pending) {
+            incident.correlation.pendingUntil = undefined;
+        }
+        await appendTimeline(incident, 'resolved', options.reason || 'Condition cleared');
+
+        if (incident.group?.key) {
+            await this.correlator.resolveChildren(incident, `Resolved with ${incident.group.label}`);
+        } else if (incident.parentId) {
+            await this.correlator.childResolved(incident);
+        }
+
+        // Send recovery notification (grouped servers recover through their parent)
+        if (options.notify !== false && !pending && !incident.parentId) {
+            await this.sendRecoveryNotification(server, incident);
+        }
+
+        // Emit update
+        io.emit('incident-resolved', {
+            incidentId: incident._id,
+            serverId: server._id,
+            timestamp: new Date()
+        });
+
+        await logEvent('info', 'Monitor', `${incident.title} resolved on ${server.name}`, {
+            serverId: server._id,
+            incidentId: incident._id,
+            type: incident.type
+        });
+    }
+
+    async sendRecoveryNotification(server, incident) {
+        try {
+            const duration = moment(incident.createdAt).from(incident.resolvedAt || new Date(), true);
+            const isOffline = incident.type === 'server_offline';
+            const isGroup = !!incident.group?.key;
+
+            let headline = isOffline
+                ? `✅ Server Recovery: ${server.name}`
+                : `✅ Resolved: ${incident.title} - ${server.name}`;
+            let summary = isOffline
+                ? `Server is back online after being down for ${duration}.`
+                : `Condition cleared: ${incident.title}. It lasted ${duration}.`;
+            if (isGroup) {
+                headline = `✅ Group Recovery: ${incident.group.label}`;
+                summary = `All ${incident.group.serverIds.length} affected servers recovered after ${duration}.`;
+            }
+            const recoveryMessage = `${headline}\n\n${summary}\n\nTime: ${moment().format('DD/MM/YYYY HH:mm:ss')}`;
+            
+            // Similar to incident notifications but with success message
+            const emailEnabled = await getSetting('email_enabled', false);
+            const telegramEnabled = await getSetting('telegram_enabled', true);
+            const whatsappEnabled = await getSetting('whatsapp_enabled', false);
+            
+            const { email: recipientEmail, phone: recipientPhone, telegramChatId: onCallChatId } = await this.getNotificationContacts(server);
+            
+            if (emailEnabled && recipientEmail) {
+                let subject = isOffline
+                    ? `[RECOVERY] ${server.name} Back Online`
+                    : `[RECOVERY] ${server.name}: ${incident.title} cleared`;
+                if (isGroup) {
+                    subject = `[RECOVERY] ${incident.group.label}: all servers back online`;
+                }
+
+                await sendEmail(recipientEmail, subject, 
+                    `<h2>✅ ${isOffline || isGroup ? 'Server Recovery' : 'Incident Resolved'}</h2>
+                    <p><strong>Server:</strong> ${isGroup ? incident.group.label : server.name}</p>
+                    <p><strong>Condition:</strong> ${incident.title}</p>
+                    <p><strong>Status:</strong> ${isOffline ? 'Back Online' : 'Cleared'}</p>
+                    <p><strong>${isOffline ? 'Downtime' : 'Duration'}:</strong> ${duration}</p>
+                    <p><strong>Time:</strong> ${moment().format('DD/MM/YYYY HH:mm:ss')}</p>`);
+            }
+            
+            if (whatsappEnabled && recipientPhone && whatsappReady) {
+                await sendWhatsAppMessage(recipientPhone, recoveryMessage);
+            }
+            
+            if (telegramEnabled && telegramReady) {
+                for (const chatId of await getTelegramRecipients(onCallChatId)) {
+                    await sendTelegramMessage(chatId, escapeMarkdown(recoveryMessage));
+                }
+            }
+            
+        } catch (error) {
+            await logEvent('error', 'Monitor', `Failed to send recovery notification: ${error.message}`);
+        }
+    }
+
+    stopMonitoring(serverId) {
+        this.scheduler.unschedule(serverId);
+        this.logWatcher.forget(serverId);
+    }
+}
+
+// Initialize Monitor
+const monitor = new ServerMonitor();
+
+// API Routes
+
+// Authentication Middleware
+const authenticate = async (req, res, next) => {
+    try {
+        const token = req.headers.authorization?.split(' ')[1];
+        if (!token) {
+            return res.status(401).json({ error: 'No token provided' });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'forexter-secret');
+        const user = await User.findById(decoded.userId);
+        
+        if (!user || !user.isActive) {
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid token' });
+    }
+};
+
+const authenticateAdmin = async (req, res, next) => {
+    await authenticate(req, res, () => {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+        next();
+    });
+};
+
+// Auth Routes
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+        
+        // Check if user exists
+        const existingUser = await User.findOne({ 
+            $or: [{ username }, { email }] 
+        });
+        
+        if (existingUser) {
+            return res.status(400).json({ error: 'User already exists' });
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        // Create user
+        const user = new User({
+            username,
+            email,
+            password: hashedPassword,
+            role: 'admin'
+        });
+
+        await user.save();
+        
+        // Create token
+        const token = jwt.sign(
+            { userId: user._id, role: user.role },
+            process.env.JWT_SECRET || 'forexter-secret',
+            { expiresIn: '7d' }
+        );
+
+        await logEvent('info', 'Auth', `New user registered: ${username}`, {
+            userId: user._id,
+            email: email
+        });
+
+        res.json({
+            success: true,
+            token,
+            user: {
+                id: user._id,
+                username: user.username,
+                email: user.email,
+                role: user.role
+            }
+        });
+
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+        await logEvent('error', 'Auth', 'Registration failed: ' + error.message);
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        // Find user
+        const user = await User.findOne({
+            $or: [{ username }, { email: username }],
+            isActive: true
+        });
+        
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // Check password
+        const validPassword = await bcrypt.compare(password, user.password);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // Update last login
+        user.lastLogin = new Date();
+        await user.save();
+
+        // Create token
+        const token = jwt.sign(
+            { userId: user._id, role: user.role },
+            process.env.JWT_SECRET || 'forexter-secret',
+            { expiresIn: '7d' }
+        );
+
+        await logEvent('info', 'Auth', `User logged in: ${username}`, {
+            userId: user._id
+        });
+
+        res.json({
+            success: true,
+            token,
+            user: {
                 id: user._id,
                 username: user.username,
                 email: user.email,
@@ -1158,251 +5898,1682 @@ app.post('/api/auth/register', async (req, res) => {
 
     } catch (error) {
         res.status(500).json({ error: error.message });
-        await logEvent('error', 'Auth', 'Registration failed: ' + error.message);
+        await logEvent('error', 'Auth', 'Login failed: ' + error.message);
+    }
+});
+
+// User Routes
+app.get('/api/users', authenticate, async (req, res) => {
+    try {
+        const users = await User.find({ isActive: true })
+            .select('username email phone telegramChatId role')
+            .sort({ username: 1 });
+
+        res.json(users);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Contact details used for on-call notifications
+app.put('/api/users/:id/contact', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'admin' && req.user._id.toString() !== req.params.id) {
+            return res.status(403).json({ error: 'Admin access required' });
+        }
+
+        const update = {};
+        for (const field of ['email', 'phone', 'telegramChatId']) {
+            if (req.body[field] !== undefined) {
+                update[field] = req.body[field] ? String(req.body[field]).trim() : undefined;
+            }
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true, runValidators: true })
+            .select('username email phone telegramChatId role');
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Server Routes
+app.get('/api/servers', authenticate, async (req, res) => {
+    try {
+        const servers = await ServerModel.find().sort({ createdAt: -1 });
+        res.json(servers);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        res.json(server);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers', authenticateAdmin, async (req, res) => {
+    try {
+        const server = new ServerModel(req.body);
+        await server.save();
+        
+        // Start monitoring
+        monitor.startMonitoring(server);
+        
+        await logEvent('info', 'Server', `Server added: ${server.name}`, {
+            serverId: server._id,
+            address: getServerEndpoint(server)
+        });
+
+        res.json(server);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/servers/:id', authenticateAdmin, async (req, res) => {
+    try {
+        // Keep stored secrets unless new ones are sent
+        for (const [group, field] of Object.entries(SERVER_SECRETS)) {
+            if (req.body[group] && !req.body[group][field]) {
+                const { [field]: secret, ...values } = req.body[group];
+                delete req.body[group];
+                for (const [key, value] of Object.entries(values)) {
+                    req.body[`${group}.${key}`] = value;
+                }
+            }
+        }
+
+        const server = await ServerModel.findByIdAndUpdate(
+            req.params.id,
+            req.body,
+            { new: true }
+        );
+        
+        if (server.type === 'heartbeat' && !server.heartbeat.token) {
+            await server.save();
+        }
+
+        if (server.isActive) {
+            monitor.startMonitoring(server);
+        } else {
+            monitor.stopMonitoring(server._id);
+        }
+        
+        await logEvent('info', 'Server', `Server updated: ${server.name}`);
+        res.json(server);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/servers/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        
+        monitor.stopMonitoring(server._id);
+        await server.deleteOne();
+        await CheckSample.deleteMany({ serverId: server._id });
+        await CheckRollup.deleteMany({ serverId: server._id });
+        await PlayerSession.deleteMany({ serverId: server._id });
+        await ServerChange.deleteMany({ serverId: server._id });
+        
+        await logEvent('info', 'Server', `Server deleted: ${server.name}`);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers/:id/resolution/accept', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const current = server.resolvedEndpoint;
+        if (!current || !current.ip) {
+            return res.status(400).json({ error: 'Server has no resolved address yet' });
+        }
+
+        // Accept the current resolution as the new expected endpoint
+        server.resolvedEndpoint = {
+            ...current,
+            changed: false,
+            recordMissing: false,
+            missingRecord: undefined,
+            baseline: {
+                host: current.host,
+                port: current.port,
+                ip: current.ip,
+                addresses: current.addresses,
+                srvTarget: current.srv ? current.srv.target : null,
+                acceptedAt: new Date(),
+                acceptedBy: req.user.username
+            }
+        };
+        await server.save();
+
+        await logEvent('info', 'DNS', `Accepted ${current.ip}:${current.port} as address of ${server.name}`, {
+            serverId: server._id,
+            userId: req.user._id
+        });
+
+        res.json(server.resolvedEndpoint);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/heartbeat', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        if (server.type !== 'heartbeat') {
+            return res.status(400).json({ error: 'Server is not a heartbeat monitor' });
+        }
+
+        res.json({
+            url: `${req.protocol}://${req.get('host')}/api/heartbeat/${server.heartbeat.token}`,
+            token: server.heartbeat.token,
+            interval: server.heartbeat.interval,
+            grace: server.heartbeat.grace,
+            lastReceivedAt: server.heartbeat.lastReceivedAt,
+            lastIp: server.heartbeat.lastIp
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers/:id/heartbeat/regenerate', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        if (server.type !== 'heartbeat') {
+            return res.status(400).json({ error: 'Server is not a heartbeat monitor' });
+        }
+
+        server.heartbeat.token = generateHeartbeatToken();
+        await server.save();
+
+        await logEvent('info', 'Server', `Heartbeat token regenerated for ${server.name}`, {
+            serverId: server._id,
+            userId: req.user._id
+        });
+
+        res.json({
+            url: `${req.protocol}://${req.get('host')}/api/heartbeat/${server.heartbeat.token}`,
+            token: server.heartbeat.token
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers/:id/check', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        
+        const status = await monitor.runCheckNow(server);
+        res.json({ 
+            success: true, 
+            message: 'Server check completed',
+            status: status 
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers/:id/rcon', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const command = String(req.body.command || '').trim().replace(/^\//, '');
+        if (!command) {
+            return res.status(400).json({ error: 'Command is required' });
+        }
+        if (!server.rcon || !server.rcon.enabled) {
+            return res.status(400).json({ error: 'RCON is not enabled for this server' });
+        }
+
+        const response = await monitor.executeRcon(server, command, {
+            name: req.user.username,
+            userId: req.user._id,
+            ip: req.ip
+        });
+
+        res.json({ command, response });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/resources', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        if (!server.panel || !server.panel.identifier) {
+            return res.status(400).json({ error: 'Server is not linked to a Pterodactyl panel' });
+        }
+
+        res.json(await monitor.getResources(server));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/servers/:id/power', authenticateAdmin, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const signal = String(req.body.signal || '').toLowerCase();
+        if (!PANEL_SIGNALS.includes(signal)) {
+            return res.status(400).json({ error: `Signal must be one of: ${PANEL_SIGNALS.join(', ')}` });
+        }
+        if (!server.panel || !server.panel.identifier) {
+            return res.status(400).json({ error: 'Server is not linked to a Pterodactyl panel' });
+        }
+
+        await monitor.executePower(server, signal, {
+            name: req.user.username,
+            userId: req.user._id,
+            ip: req.ip
+        });
+
+        res.json({ success: true, signal });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/history', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : moment(to).subtract(24, 'hours').toDate();
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+
+        // A day of raw samples at the default 10s interval stays under the limit
+        let resolution = req.query.resolution || 'auto';
+        if (resolution === 'auto') {
+            const spanHours = (to - from) / (60 * 60 * 1000);
+            resolution = spanHours <= 24 ? 'raw' : spanHours <= 60 * 24 ? 'hour' : 'day';
+        }
+
+        let points;
+        let truncated = false;
+        if (resolution === 'raw') {
+            const rawLimit = 10000;
+            // Newest first so a cut-off drops the oldest samples, then back to chronological order
+            const samples = await CheckSample.find({
+                serverId: server._id,
+                timestamp: { $gte: from, $lte: to }
+            }).sort({ timestamp: -1 }).limit(rawLimit + 1);
+
+            truncated = samples.length > rawLimit;
+            points = samples.slice(0, rawLimit).reverse().map(sample => ({
+                timestamp: sample.timestamp,
+                online: sample.online,
+                responseTime: sample.responseTime,
+                players: sample.players,
+                maxPlayers: sample.maxPlayers,
+                error: sample.error
+            }));
+        } else if (resolution === 'hour' || resolution === 'day') {
+            const rollups = await CheckRollup.find({
+                serverId: server._id,
+                resolution,
+                bucket: { $gte: moment(from).startOf(resolution).toDate(), $lte: to }
+            }).sort({ bucket: 1 });
+
+            points = rollups.map(rollup => ({
+                timestamp: rollup.bucket,
+                checks: rollup.checks,
+                uptimeRatio: rollup.checks > 0 ? rollup.onlineChecks / rollup.checks : 0,
+                latency: {
+                    min: rollup.latencyMin ?? null,
+                    avg: rollup.latencyCount > 0 ? Math.round(rollup.latencySum / rollup.latencyCount) : null,
+                    max: rollup.latencyMax ?? null
+                },
+                players: {
+                    avg: rollup.checks > 0 ? +(rollup.playersSum / rollup.checks).toFixed(2) : 0,
+                    peak: rollup.playersPeak
+                }
+            }));
+        } else {
+            return res.status(400).json({ error: 'Invalid resolution (raw, hour, day or auto)' });
+        }
+
+        res.json({
+            serverId: server._id,
+            from,
+            to,
+            resolution,
+            truncated,
+            // Only samples from here on were returned
+            firstTimestamp: truncated ? points[0].timestamp : undefined,
+            points
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/changes', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const { limit = 50, field, from, to } = req.query;
+        const query = { serverId: server._id };
+        if (field) query.field = field;
+        if (from || to) {
+            query.detectedAt = {};
+            if (from) query.detectedAt.$gte = new Date(from);
+            if (to) query.detectedAt.$lte = new Date(to);
+            if (Object.values(query.detectedAt).some(date => isNaN(date))) {
+                return res.status(400).json({ error: 'Invalid time range' });
+            }
+        }
+
+        const changes = await ServerChange.find(query)
+            .sort({ detectedAt: -1 })
+            .limit(Math.min(parseInt(limit) || 50, 500));
+
+        res.json(changes);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/players', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const { at } = req.query;
+        const limit = parseLimit(req.query.limit, 50, 500);
+
+        // Who was online at a given moment, e.g. right before a crash
+        if (at) {
+            const atTime = new Date(at);
+            if (isNaN(atTime)) {
+                return res.status(400).json({ error: 'Invalid timestamp' });
+            }
+
+            const sessions = await PlayerSession.find({
+                serverId: server._id,
+                startedAt: { $lte: atTime },
+                $or: [{ endedAt: null }, { endedAt: { $gte: atTime } }]
+            }).sort({ startedAt: 1 });
+
+            return res.json({ serverId: server._id, at: atTime, players: sessions });
+        }
+
+        const [online, recent] = await Promise.all([
+            PlayerSession.find({ serverId: server._id, endedAt: null }).sort({ startedAt: 1 }),
+            PlayerSession.find({ serverId: server._id, endedAt: { $ne: null } })
+                .sort({ endedAt: -1 })
+                .limit(limit)
+        ]);
+
+        res.json({ serverId: server._id, online, recent });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Heartbeat Routes (authenticated by the token in the URL)
+app.post('/api/heartbeat/:token', async (req, res) => {
+    try {
+        const server = await ServerModel.findOne({ type: 'heartbeat', 'heartbeat.token': req.params.token });
+        if (!server) {
+            return res.status(404).json({ error: 'Unknown heartbeat token' });
+        }
+
+        const receivedAt = new Date();
+        await ServerModel.updateOne({ _id: server._id }, {
+            'heartbeat.lastReceivedAt': receivedAt,
+            'heartbeat.lastIp': req.ip,
+            'heartbeat.lastStatus': normalizeHeartbeat(req.body)
+        });
+
+        // Don't wait for the next scheduled check to recover
+        if (server.isActive && server.lastStatus && !server.lastStatus.online) {
+            monitor.runCheckNow(server).catch(error => {
+                logEvent('error', 'Monitor', `Heartbeat check failed for ${server.name}: ${error.message}`, {
+                    serverId: server._id
+                });
+            });
+        }
+
+        res.json({
+            success: true,
+            receivedAt,
+            expectedBefore: new Date(receivedAt.getTime() + server.heartbeat.interval * 1000)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Player Routes
+app.get('/api/players/leaderboard', authenticate, async (req, res) => {
+    try {
+        const { serverId } = req.query;
+        const limit = parseLimit(req.query.limit, 10, 100);
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : moment(to).subtract(30, 'days').toDate();
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+
+        const match = {
+            startedAt: { $lte: to },
+            $or: [{ endedAt: null }, { endedAt: { $gte: from } }]
+        };
+        if (serverId) {
+            if (!mongoose.isValidObjectId(serverId)) {
+                return res.status(400).json({ error: 'Invalid serverId' });
+            }
+            match.serverId = new mongoose.Types.ObjectId(serverId);
+        }
+
+        // Only count the part of each session inside the range
+        const leaderboard = await PlayerSession.aggregate([
+            { $match: match },
+            {
+                $project: {
+                    playerName: 1,
+                    key: { $ifNull: ['$playerUuid', { $toLower: '$playerName' }] },
+                    playtime: {
+                        $subtract: [
+                            { $min: [{ $ifNull: ['$endedAt', new Date()] }, to] },
+                            { $max: ['$startedAt', from] }
+                        ]
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: '$key',
+                    playerName: { $last: '$playerName' },
+                    sessions: { $sum: 1 },
+                    playtime: { $sum: '$playtime' }
+                }
+            },
+            { $sort: { playtime: -1 } },
+            { $limit: limit }
+        ]);
+
+        res.json({
+            from,
+            to,
+            players: leaderboard.map((entry, index) => ({
+                rank: index + 1,
+                player: entry.playerName,
+                uuid: entry._id !== entry.playerName.toLowerCase() ? entry._id : null,
+                sessions: entry.sessions,
+                playtime: Math.round(entry.playtime / 1000)
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/players/:player', authenticate, async (req, res) => {
+    try {
+        const { serverId } = req.query;
+        const limit = parseLimit(req.query.limit, 100, 1000);
+        const query = {
+            $or: [
+                { playerUuid: req.params.player },
+                { playerName: new RegExp(`^${escapeRegex(req.params.player)}$`, 'i') }
+            ]
+        };
+        if (serverId) {
+            if (!mongoose.isValidObjectId(serverId)) {
+                return res.status(400).json({ error: 'Invalid serverId' });
+            }
+            query.serverId = serverId;
+        }
+
+        const sessions = await PlayerSession.find(query)
+            .populate('serverId', 'name address port')
+            .sort({ startedAt: -1 })
+            .limit(limit);
+
+        if (sessions.length === 0) {
+            return res.status(404).json({ error: 'Player not found' });
+        }
+
+        const now = Date.now();
+        const totalPlaytime = sessions.reduce((sum, session) =>
+            sum + (session.duration ?? Math.round((now - session.startedAt) / 1000)), 0);
+
+        res.json({
+            player: sessions[0].playerName,
+            uuid: sessions[0].playerUuid || null,
+            online: sessions.some(session => !session.endedAt),
+            totalPlaytime,
+            sessions
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/servers/:id/analytics', authenticate, async (req, res) => {
+    try {
+        const server = await ServerModel.findById(req.params.id);
+        if (!server) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const days = parseInt(req.query.days) || 30;
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from ? new Date(req.query.from) : moment(to).subtract(days, 'days').toDate();
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+        // Every day in the range ends up in the aggregation pipeline
+        if (to - from > MAX_ANALYTICS_DAYS * DAY_MS) {
+            return res.status(400).json({ error: `Time range is limited to ${MAX_ANALYTICS_DAYS} days` });
+        }
+
+        res.json(await getPlayerAnalytics(server, from, to));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Monitor Routes
+app.get('/api/monitor/stats', authenticate, async (req, res) => {
+    try {
+        res.json(monitor.scheduler.getStats());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Status Endpoint (Public)
+app.get('/api/status', async (req, res) => {
+    try {
+        const server = await ServerModel.findOne({ isActive: true });
+        if (!server) {
+            return res.status(404).json({ error: 'No active server found' });
+        }
+
+        const status = server.lastStatus || {};
+        const maintenance = await getActiveMaintenance(server);
+        const slaReport = await buildSlaReport(server, moment().startOf('month').toDate(), new Date());
+        
+        // Enhanced status with diagnostics
+        const enhancedStatus = {
+            online: status.online || false,
+            players: status.players || { online: 0, max: 0, list: [] },
+            version: status.version || { name: 'Unknown', protocol: -1 },
+            motd: status.motd || { clean: 'Server Offline' },
+            icon: status.icon,
+            responseTime: status.responseTime || 0,
+            lastCheck: status.lastCheck || new Date(),
+            flapping: server.flapping || false,
+            maintenance: maintenance ? {
+                active: true,
+                title: maintenance.window.title,
+                description: maintenance.window.description,
+                startsAt: maintenance.start,
+                endsAt: maintenance.end
+            } : { active: false },
+            serverInfo: {
+                name: server.name,
+                address: getServerEndpoint(server),
+                type: server.type
+            },
+            stats: {
+                // Uptime over the current calendar month, maintenance excluded
+                uptime: slaReport.uptime.toFixed(2),
+                uptimePeriod: {
+                    from: slaReport.from,
+                    to: slaReport.to
+                },
+                incidents: slaReport.incidents,
+                totalChecks: server.stats.totalChecks,
+                totalDowntime: server.stats.totalDowntime
+            },
+            diagnostics: await getServerDiagnostics(server, status)
+        };
+
+        res.json(enhancedStatus);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MAX_ANALYTICS_DAYS = 366;
+
+// Local calendar days overlapping [from, to], with the instants they start and end
+function getLocalDays(from, to, timeZone) {
+    const days = [];
+    const first = getZonedParts(from, timeZone);
+    let start = zonedTimeToUtc(first.year, first.month, first.day, 0, 0, timeZone);
+
+    while (start <= to) {
+        const parts = getZonedParts(start, timeZone);
+        const next = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + 1));
+        const end = zonedTimeToUtc(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate(), 0, 0, timeZone);
+        days.push({
+            date: `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`,
+            start,
+            end
+        });
+        start = end;
+    }
+    return days;
+}
+
+async function getPlayerAnalytics(server, from, to) {
+    const timezone = await getSetting('timezone', Intl.DateTimeFormat().resolvedOptions().timeZone);
+
+    // Weekday x hour heatmap from the hourly rollups
+    const heatmapRows = await CheckRollup.aggregate([
+        {
+            $match: {
+                serverId: server._id,
+                resolution: 'hour',
+                bucket: { $gte: from, $lte: to }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    weekday: { $subtract: [{ $dayOfWeek: { date: '$bucket', timezone } }, 1] },
+                    hour: { $hour: { date: '$bucket', timezone } }
+                },
+                checks: { $sum: '$checks' },
+                playersSum: { $sum: '$playersSum' },
+                peak: { $max: '$playersPeak' }
+            }
+        }
+    ]);
+
+    const heatmap = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+        for (let hour = 0; hour < 24; hour++) {
+            const row = heatmapRows.find(r => r._id.weekday === weekday && r._id.hour === hour);
+            heatmap.push({
+                weekday,
+                weekdayName: WEEKDAY_NAMES[weekday],
+                hour,
+                avgPlayers: row && row.checks > 0 ? +(row.playersSum / row.checks).toFixed(2) : 0,
+                peakPlayers: row ? row.peak : 0,
+                checks: row ? row.checks : 0
+            });
+        }
+    }
+
+    const busiest = heatmap.reduce((best, cell) => (cell.avgPlayers > best.avgPlayers ? cell : best), heatmap[0]);
+
+    // Daily unique players from sessions
+    const sessionMatch = {
+        serverId: server._id,
+        startedAt: { $lte: to },
+        $or: [{ endedAt: null }, { endedAt: { $gte: from } }]
+    };
+    const playerKey = { $ifNull: ['$playerUuid', { $toLower: '$playerName' }] };
+
+    const days = getLocalDays(from, to, timezone);
+
+    const [dailyRows, uniqueRows] = await Promise.all([
+        PlayerSession.aggregate([
+            { $match: sessionMatch },
+            {
+                $project: {
+                    key: playerKey,
+                    start: { $max: ['$startedAt', from] },
+                    end: { $min: [{ $ifNull: ['$endedAt', new Date()] }, to] }
+                }
+            },
+            // A session counts on every day it overlaps, not only the day it started
+            {
+                $project: {
+                    key: 1,
+                    days: {
+                        $filter: {
+                            input: days,
+                            as: 'day',
+                            cond: {
+                                $and: [
+                                    { $lte: ['$$day.start', '$end'] },
+                                    { $gt: ['$$day.end', '$start'] }
+                                ]
+                            }
+                        }
+                    }
+                }
+            },
+            { $unwind: '$days' },
+            {
+                $group: {
+                    _id: '$days.date',
+                    players: { $addToSet: '$key' }
+                }
+            },
+            { $project: { uniquePlayers: { $size: '$players' } } },
+            { $sort: { _id: 1 } }
+        ]),
+        PlayerSession.aggregate([
+            { $match: sessionMatch },
+            { $group: { _id: null, players: { $addToSet: playerKey } } },
+            { $project: { count: { $size: '$players' } } }
+        ])
+    ]);
+
+    // Record concurrency in range: exact from raw samples, hourly rollups once those expired
+    let record = await CheckSample.findOne({
+        serverId: server._id,
+        timestamp: { $gte: from, $lte: to }
+    }).sort({ players: -1, timestamp: 1 });
+
+    let recordConcurrency = record ? { players: record.players, at: record.timestamp } : null;
+    const rollupRecord = await CheckRollup.findOne({
+        serverId: server._id,
+        resolution: 'hour',
+        bucket: { $gte: from, $lte: to }
+    }).sort({ playersPeak: -1, bucket: 1 });
+
+    if (rollupRecord && (!recordConcurrency || rollupRecord.playersPeak > recordConcurrency.players)) {
+        recordConcurrency = { players: rollupRecord.playersPeak, at: rollupRecord.bucket, approximate: true };
+    }
+
+    const totals = heatmapRows.reduce((sum, row) => ({
+        checks: sum.checks + row.checks,
+        playersSum: sum.playersSum + row.playersSum
+    }), { checks: 0, playersSum: 0 });
+
+    return {
+        serverId: server._id,
+        from,
+        to,
+        timezone,
+        avgPlayers: totals.checks > 0 ? +(totals.playersSum / totals.checks).toFixed(2) : 0,
+        uniquePlayers: uniqueRows[0] ? uniqueRows[0].count : 0,
+        busiestHour: busiest && busiest.checks > 0 ? busiest : null,
+        recordConcurrency,
+        allTimeRecord: {
+            players: server.stats.peakPlayers || 0,
+            at: server.stats.peakPlayersAt || null
+        },
+        dailyUniquePlayers: dailyRows.map(row => ({ date: row._id, uniquePlayers: row.uniquePlayers })),
+        heatmap
+    };
+}
+
+async function getServerDiagnostics(server, status) {
+    const diagnostics = {
+        network: status.online ? 'healthy' : 'unhealthy',
+        latency: status.responseTime || 0,
+        latencyStatus: status.responseTime < 100 ? 'excellent' : 
+                      status.responseTime < 300 ? 'good' : 
+                      status.responseTime < 500 ? 'fair' : 'poor',
+        playersConnected: status.players?.online || 0,
+        serverLoad: status.players?.online > (status.players?.max * 0.8) ? 'high' : 'normal',
+        versionCompatibility: 'compatible'
+    };
+
+    // Version compatibility follows the version rules configured for this server
+    const versionRules = (await monitor.getRulesForServer(server))
+        .filter(rule => rule.metric.startsWith('version.'));
+    for (const rule of versionRules) {
+        if (evaluateRule(rule, server, status).active !== false) {
+            diagnostics.versionCompatibility = 'check_version';
+        }
+    }
+    
+    return diagnostics;
+}
+
+// Incident Routes
+app.get('/api/incidents', authenticate, async (req, res) => {
+    try {
+        const { limit = 50, status, severity, serverId, parentId } = req.query;
+        const query = {};
+        
+        if (status) query.status = status;
+        if (severity) query.severity = severity;
+        if (serverId) query.serverId = serverId;
+        if (parentId) query.parentId = parentId;
+        
+        const incidents = await Incident.find(query)
+            .populate('serverId', 'name address port')
+            .populate('assignee', 'username')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit));
+        
+        res.json(incidents);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/incidents/:id', authenticate, async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id)
+            .populate('serverId', 'name address port')
+            .populate('assignee', 'username email');
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+
+        if (incident.group?.key) {
+            const children = await Incident.find({ parentId: incident._id })
+                .populate('serverId', 'name address port')
+                .sort({ createdAt: 1 });
+            return res.json({ ...incident.toJSON(), children });
+        }
+
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/incidents/:id/timeline', authenticate, async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id).select('timeline');
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+
+        res.json(incident.timeline);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/incidents/:id/acknowledge', authenticate, async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        if (incident.status !== 'active') {
+            return res.status(400).json({ error: `Incident is already ${incident.status}` });
+        }
+
+        await monitor.acknowledgeIncident(incident, {
+            name: req.user.username,
+            userId: req.user._id
+        });
+
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/incidents/:id/assign', authenticate, async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+
+        // null or an empty userId unassigns
+        let assignee = null;
+        if (req.body.userId) {
+            assignee = await User.findById(req.body.userId);
+            if (!assignee) {
+                return res.status(400).json({ error: 'User not found' });
+            }
+        }
+
+        incident.assignee = assignee ? assignee._id : undefined;
+        await appendTimeline(incident, 'assigned', assignee
+            ? `Assigned to ${assignee.username} by ${req.user.username}`
+            : `Unassigned by ${req.user.username}`, {
+            userId: req.user._id,
+            assigneeId: assignee ? assignee._id : null
+        });
+
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/incidents/:id/comments', authenticate, async (req, res) => {
+    try {
+        const message = String(req.body.message || '').trim();
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+
+        const entry = await appendTimeline(incident, 'comment', message.slice(0, 4000), {
+            userId: req.user._id,
+            username: req.user.username
+        });
+
+        res.json(entry);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/incidents/:id/resolve', authenticateAdmin, async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.params.id);
+        if (!incident) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        incident.status = 'resolved';
+        incident.resolvedAt = new Date();
+        await appendTimeline(incident, 'resolved', `Resolved by ${req.user.username}`, {
+            userId: req.user._id
+        });
+
+        if (incident.group?.key) {
+            await monitor.correlator.resolveChildren(incident, `Resolved with ${incident.group.label} by ${req.user.username}`);
+        } else if (incident.parentId) {
+            await monitor.correlator.childResolved(incident);
+        }
+        
+        await logEvent('info', 'Incident', `Incident resolved: ${incident.title}`, {
+            incidentId: incident._id
+        });
+        
+        res.json(incident);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Report Routes
+app.get('/api/reports/sla', authenticate, async (req, res) => {
+    try {
+        const { serverId, month, format = 'json', detail } = req.query;
+
+        let from;
+        let to;
+        if (month) {
+            const start = moment(month, 'YYYY-MM', true);
+            if (!start.isValid()) {
+                return res.status(400).json({ error: 'Invalid month (expected YYYY-MM)' });
+            }
+            from = start.startOf('month').toDate();
+            to = start.clone().endOf('month').toDate();
+        } else {
+            to = req.query.to ? new Date(req.query.to) : new Date();
+            from = req.query.from ? new Date(req.query.from) : moment(to).startOf('month').toDate();
+        }
+
+        if (isNaN(from) || isNaN(to) || from > to) {
+            return res.status(400).json({ error: 'Invalid time range' });
+        }
+
+        const servers = serverId
+            ? await ServerModel.find({ _id: serverId })
+            : await ServerModel.find({ isActive: true });
+        if (servers.length === 0) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+
+        const reports = [];
+        for (const server of servers) {
+            reports.push(await buildSlaReport(server, from, to));
+        }
+
+        const filename = `sla_${moment(from).format('YYYYMMDD')}_${moment(to).format('YYYYMMDD')}`;
+
+        switch (format) {
+            case 'csv':
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+                return res.send(slaReportsToCsv(reports, detail));
+
+            case 'html':
+                res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                return res.send(slaReportsToHtml(reports, from, to));
+
+            case 'json':
+                return res.json({ from, to, reports });
+
+            default:
+                return res.status(400).json({ error: 'Invalid format (json, csv or html)' });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Maintenance Routes
+app.get('/api/maintenance', authenticate, async (req, res) => {
+    try {
+        const { serverId, active } = req.query;
+        const query = {};
+
+        if (serverId) query.serverId = serverId;
+        if (active !== undefined) query.isActive = active === 'true';
+
+        const windows = await MaintenanceWindow.find(query)
+            .populate('serverId', 'name address port')
+            .sort({ startsAt: -1 });
+
+        // Next occurrences for the coming week
+        const upcoming = expandMaintenanceWindows(
+            windows.filter(window => window.isActive),
+            new Date(),
+            moment().add(7, 'days').toDate()
+        ).map(occurrence => ({
+            windowId: occurrence.window._id,
+            title: occurrence.window.title,
+            startsAt: occurrence.start,
+            endsAt: occurrence.end
+        }));
+
+        res.json({ windows, upcoming });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function validateMaintenanceWindow(window) {
+    if (!(window.endsAt > window.startsAt)) {
+        return 'endsAt must be after startsAt';
+    }
+    if (window.recurrence !== 'none' && window.recurrenceEnd && window.recurrenceEnd < window.startsAt) {
+        return 'recurrenceEnd must be after startsAt';
+    }
+    return null;
+}
+
+app.post('/api/maintenance', authenticateAdmin, async (req, res) => {
+    try {
+        const window = new MaintenanceWindow({
+            ...req.body,
+            createdBy: req.user.username
+        });
+
+        const validationError = validateMaintenanceWindow(window);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await window.save();
+
+        await logEvent('info', 'Maintenance', `Maintenance window created: ${window.title}`, {
+            windowId: window._id,
+            serverId: window.serverId
+        });
+
+        res.json(window);
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/maintenance/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const window = await MaintenanceWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({ error: 'Maintenance window not found' });
+        }
+
+        window.set(req.body);
+
+        const validationError = validateMaintenanceWindow(window);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        await window.save();
+
+        await logEvent('info', 'Maintenance', `Maintenance window updated: ${window.title}`, {
+            windowId: window._id
+        });
+
+        res.json(window);
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/maintenance/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const window = await MaintenanceWindow.findById(req.params.id);
+        if (!window) {
+            return res.status(404).json({ error: 'Maintenance window not found' });
+        }
+
+        await window.deleteOne();
+
+        await logEvent('info', 'Maintenance', `Maintenance window deleted: ${window.title}`, {
+            windowId: window._id
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Alert Rule Routes
+app.get('/api/rules', authenticate, async (req, res) => {
+    try {
+        const { scope, serverId, tag, key } = req.query;
+        const query = {};
+
+        if (scope) query.scope = scope;
+        if (serverId) query.serverId = serverId;
+        if (tag) query.tag = tag;
+        if (key) query.key = key;
+
+        const rules = await AlertRule.find(query)
+            .populate('serverId', 'name address port')
+            .sort({ key: 1, scope: 1 });
+
+        res.json(rules);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/rules/:id', authenticate, async (req, res) => {
+    try {
+        const rule = await AlertRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json(rule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+function validateRuleScope(rule) {
+    if (rule.scope === 'server' && !rule.serverId) {
+        return 'serverId is required for server scoped rules';
+    }
+    if (rule.scope === 'tag' && !rule.tag) {
+        return 'tag is required for tag scoped rules';
+    }
+    return null;
+}
+
+app.post('/api/rules', authenticateAdmin, async (req, res) => {
+    try {
+        const rule = new AlertRule(req.body);
+
+        const scopeError = validateRuleScope(rule);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        await rule.save();
+        monitor.invalidateRules();
+
+        await logEvent('info', 'Rules', `Alert rule created: ${rule.key}`, {
+            ruleId: rule._id,
+            scope: rule.scope
+        });
+
+        res.json(rule);
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/rules/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const rule = await AlertRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        rule.set({ ...req.body, updatedAt: new Date() });
+
+        const scopeError = validateRuleScope(rule);
+        if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+        }
+
+        await rule.save();
+        monitor.invalidateRules();
+
+        await logEvent('info', 'Rules', `Alert rule updated: ${rule.key}`, {
+            ruleId: rule._id
+        });
+
+        res.json(rule);
+    } catch (error) {
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/rules/:id', authenticateAdmin, async (req, res) => {
+    try {
+        const rule = await AlertRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        await rule.deleteOne();
+        monitor.invalidateRules();
+
+        await logEvent('info', 'Rules', `Alert rule deleted: ${rule.key}`, {
+            ruleId: rule._id
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// On-Call Routes
+function validateOnCallSchedule(schedule) {
+    for (const timeZone of [schedule.timezone, ...schedule.layers.map(layer => layer.timezone)].filter(zone => zone)) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch (error) {
+            return `Unknown timezone: ${timeZone}`;
+        }
+    }
+    for (const [index, layer] of schedule.layers.entries()) {
+        if (!layer.users || layer.users.length === 0) {
+            return `Layer ${index + 1} needs at least one user`;
+        }
+        if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(layer.handoffTime || '')) {
+            return `Layer ${index + 1} needs a handoffTime as HH:mm`;
+        }
+    }
+    for (const override of schedule.overrides) {
+        if (override.endsAt <= override.startsAt) {
+            return 'Override must end after it starts';
+        }
+    }
+    return null;
+}
+
+async function describeOnCall(schedule, at = new Date()) {
+    const onCall = getOnCall(schedule, at);
+    const [user, nextUser] = await Promise.all([
+        onCall ? User.findById(onCall.userId).select('username email phone telegramChatId') : null,
+        onCall?.nextUserId ? User.findById(onCall.nextUserId).select('username') : null
+    ]);
+
+    return {
+        scheduleId: schedule._id,
+        schedule: schedule.name,
+        // The active layer's own timezone when it has one
+        timezone: onCall?.timezone || schedule.timezone,
+        user,
+        source: onCall?.source || null,
+        layer: onCall?.layer,
+        reason: onCall?.reason,
+        shiftStart: onCall?.start || null,
+        shiftEnd: onCall?.end || null,
+        next: nextUser ? nextUser.username : null
+    };
+}
+
+app.get('/api/oncall', authenticate, async (req, res) => {
+    try {
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at)) {
+            return res.status(400).json({ error: 'Invalid time' });
+        }
+
+        const schedules = await OnCallSchedule.find({ isActive: true }).sort({ createdAt: 1 });
+        res.json(await Promise.all(schedules.map(schedule => describeOnCall(schedule, at))));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/auth/login', async (req, res) => {
+app.get('/api/oncall-schedules', authenticate, async (req, res) => {
     try {
-        const { username, password } = req.body;
-        
-        // Find user
-        const user = await User.findOne({
-            $or: [{ username }, { email: username }],
-            isActive: true
-        });
-        
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        const schedules = await OnCallSchedule.find()
+            .populate('serverIds', 'name')
+            .populate('layers.users', 'username')
+            .sort({ createdAt: 1 });
+
+        res.json(schedules);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/oncall-schedules/:id', authenticate, async (req, res) => {
+    try {
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
         }
+        res.json(schedule);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        // Check password
-        const validPassword = await bcrypt.compare(password, user.password);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+app.get('/api/oncall-schedules/:id/current', authenticate, async (req, res) => {
+    try {
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at)) {
+            return res.status(400).json({ error: 'Invalid time' });
+        }
 
-        // Create token
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET || 'forexter-secret',
-            { expiresIn: '7d' }
-        );
+        res.json(await describeOnCall(schedule, at));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        await logEvent('info', 'Auth', `User logged in: ${username}`, {
-            userId: user._id
+app.post('/api/oncall-schedules', authenticateAdmin, async (req, res) => {
+    try {
+        const schedule = new OnCallSchedule({
+            timezone: await getSetting('timezone', 'UTC'),
+            ...req.body
         });
 
-        res.json({
-            success: true,
-            token,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role
-            }
+        const scheduleError = validateOnCallSchedule(schedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        await schedule.save();
+
+        await logEvent('info', 'OnCall', `On-call schedule created: ${schedule.name}`, {
+            scheduleId: schedule._id
         });
 
+        res.json(schedule);
     } catch (error) {
-        res.status(500).json({ error: error.message });
-        await logEvent('error', 'Auth', 'Login failed: ' + error.message);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
     }
 });
 
-// Server Routes
-app.get('/api/servers', authenticate, async (req, res) => {
+app.put('/api/oncall-schedules/:id', authenticateAdmin, async (req, res) => {
     try {
-        const servers = await ServerModel.find().sort({ createdAt: -1 });
-        res.json(servers);
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        schedule.set({ ...req.body, updatedAt: new Date() });
+
+        const scheduleError = validateOnCallSchedule(schedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        await schedule.save();
+
+        await logEvent('info', 'OnCall', `On-call schedule updated: ${schedule.name}`, {
+            scheduleId: schedule._id
+        });
+
+        res.json(schedule);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
     }
 });
 
-app.get('/api/servers/:id', authenticate, async (req, res) => {
+app.delete('/api/oncall-schedules/:id', authenticateAdmin, async (req, res) => {
     try {
-        const server = await ServerModel.findById(req.params.id);
-        if (!server) {
-            return res.status(404).json({ error: 'Server not found' });
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
         }
-        res.json(server);
+
+        await schedule.deleteOne();
+
+        await logEvent('info', 'OnCall', `On-call schedule deleted: ${schedule.name}`, {
+            scheduleId: schedule._id
+        });
+
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/servers', authenticateAdmin, async (req, res) => {
+// Temporary overrides, e.g. covering a shift while someone is away
+app.post('/api/oncall-schedules/:id/overrides', authenticate, async (req, res) => {
     try {
-        const server = new ServerModel(req.body);
-        await server.save();
-        
-        // Start monitoring
-        monitor.startMonitoring(server);
-        
-        await logEvent('info', 'Server', `Server added: ${server.name}`, {
-            serverId: server._id,
-            address: `${server.address}:${server.port}`
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+
+        const userId = req.body.userId || req.user._id;
+        if (req.user.role !== 'admin' && userId.toString() !== req.user._id.toString()) {
+            return res.status(403).json({ error: 'Only admins can schedule overrides for other users' });
+        }
+        if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId, isActive: true }))) {
+            return res.status(400).json({ error: 'User not found' });
+        }
+
+        const startsAt = req.body.startsAt ? new Date(req.body.startsAt) : new Date();
+        const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : null;
+        if (isNaN(startsAt) || !endsAt || isNaN(endsAt)) {
+            return res.status(400).json({ error: 'endsAt is required and startsAt/endsAt must be valid dates' });
+        }
+        if (endsAt <= new Date()) {
+            return res.status(400).json({ error: 'Override must end in the future' });
+        }
+
+        schedule.overrides.push({
+            userId,
+            startsAt,
+            endsAt,
+            reason: req.body.reason,
+            createdBy: req.user.username
         });
+        const override = schedule.overrides[schedule.overrides.length - 1];
 
-        res.json(server);
+        const scheduleError = validateOnCallSchedule(schedule);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        // Drop overrides that ended more than a month ago
+        const cutoff = moment().subtract(30, 'days').toDate();
+        schedule.overrides = schedule.overrides.filter(override => override.endsAt > cutoff);
+        await schedule.save();
+
+        await logEvent('info', 'OnCall', `Override added to ${schedule.name} by ${req.user.username}`, {
+            scheduleId: schedule._id,
+            userId
+        });
+
+        res.json(override);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
     }
 });
 
-app.put('/api/servers/:id', authenticateAdmin, async (req, res) => {
+app.delete('/api/oncall-schedules/:id/overrides/:overrideId', authenticateAdmin, async (req, res) => {
     try {
-        const server = await ServerModel.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true }
-        );
-        
-        if (server.isActive) {
-            monitor.startMonitoring(server);
-        } else {
-            monitor.stopMonitoring(server._id);
+        const schedule = await OnCallSchedule.findById(req.params.id);
+        const override = schedule?.overrides.id(req.params.overrideId);
+        if (!override) {
+            return res.status(404).json({ error: 'Override not found' });
         }
-        
-        await logEvent('info', 'Server', `Server updated: ${server.name}`);
-        res.json(server);
+
+        override.deleteOne();
+        await schedule.save();
+
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/servers/:id', authenticateAdmin, async (req, res) => {
+// Escalation Policy Routes
+app.get('/api/escalation-policies', authenticate, async (req, res) => {
     try {
-        const server = await ServerModel.findById(req.params.id);
-        if (!server) {
-            return res.status(404).json({ error: 'Server not found' });
-        }
-        
-        monitor.stopMonitoring(server._id);
-        await server.deleteOne();
-        
-        await logEvent('info', 'Server', `Server deleted: ${server.name}`);
-        res.json({ success: true });
+        const policies = await EscalationPolicy.find()
+            .populate('serverIds', 'name')
+            .sort({ createdAt: 1 });
+
+        res.json(policies);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.post('/api/servers/:id/check', authenticate, async (req, res) => {
+app.get('/api/escalation-policies/:id', authenticate, async (req, res) => {
     try {
-        const server = await ServerModel.findById(req.params.id);
-        if (!server) {
-            return res.status(404).json({ error: 'Server not found' });
+        const policy = await EscalationPolicy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Escalation policy not found' });
         }
-        
-        await monitor.checkServer(server);
-        res.json({ 
-            success: true, 
-            message: 'Server check completed',
-            status: server.lastStatus 
-        });
+        res.json(policy);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Status Endpoint (Public)
-app.get('/api/status', async (req, res) => {
+function validateEscalationPolicy(policy) {
+    if (!policy.steps || policy.steps.length === 0) {
+        return 'At least one step is required';
+    }
+    for (const [index, step] of policy.steps.entries()) {
+        if (!step.channels || step.channels.length === 0) {
+            return `Step ${index + 1} needs at least one channel`;
+        }
+        if (step.target === 'users' && (!step.userIds || step.userIds.length === 0)) {
+            return `Step ${index + 1} targets users but lists none`;
+        }
+        if (index > 0 && step.delayMinutes < policy.steps[index - 1].delayMinutes) {
+            return 'Step delays must not decrease';
+        }
+    }
+    return null;
+}
+
+app.post('/api/escalation-policies', authenticateAdmin, async (req, res) => {
     try {
-        const server = await ServerModel.findOne({ isActive: true });
-        if (!server) {
-            return res.status(404).json({ error: 'No active server found' });
+        const policy = new EscalationPolicy(req.body);
+
+        const policyError = validateEscalationPolicy(policy);
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
         }
 
-        const status = server.lastStatus || {};
-        
-        // Enhanced status with diagnostics
-        const enhancedStatus = {
-            online: status.online || false,
-            players: status.players || { online: 0, max: 0, list: [] },
-            version: status.version || { name: 'Unknown', protocol: -1 },
-            motd: status.motd || { clean: 'Server Offline' },
-            icon: status.icon,
-            responseTime: status.responseTime || 0,
-            lastCheck: status.lastCheck || new Date(),
-            serverInfo: {
-                name: server.name,
-                address: `${server.address}:${server.port}`,
-                type: server.type
-            },
-            stats: {
-                uptime: server.stats.totalChecks > 0 
-                    ? ((server.stats.uptimeChecks / server.stats.totalChecks) * 100).toFixed(2)
-                    : 0,
-                totalChecks: server.stats.totalChecks,
-                totalDowntime: server.stats.totalDowntime
-            },
-            diagnostics: await getServerDiagnostics(server, status)
-        };
+        await policy.save();
+        monitor.invalidateEscalationPolicies();
 
-        res.json(enhancedStatus);
+        await logEvent('info', 'Escalation', `Escalation policy created: ${policy.name}`, {
+            policyId: policy._id
+        });
+
+        res.json(policy);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
     }
 });
 
-async function getServerDiagnostics(server, status) {
-    const diagnostics = {
-        network: status.online ? 'healthy' : 'unhealthy',
-        latency: status.responseTime || 0,
-        latencyStatus: status.responseTime < 100 ? 'excellent' : 
-                      status.responseTime < 300 ? 'good' : 
-                      status.responseTime < 500 ? 'fair' : 'poor',
-        playersConnected: status.players?.online || 0,
-        serverLoad: status.players?.online > (status.players?.max * 0.8) ? 'high' : 'normal',
-        versionCompatibility: status.version?.protocol === 671 ? 'compatible' : 'check_version'
-    };
-    
-    return diagnostics;
-}
-
-// Incident Routes
-app.get('/api/incidents', authenticate, async (req, res) => {
+app.put('/api/escalation-policies/:id', authenticateAdmin, async (req, res) => {
     try {
-        const { limit = 50, status, severity, serverId } = req.query;
-        const query = {};
-        
-        if (status) query.status = status;
-        if (severity) query.severity = severity;
-        if (serverId) query.serverId = serverId;
-        
-        const incidents = await Incident.find(query)
-            .populate('serverId', 'name address port')
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit));
-        
-        res.json(incidents);
+        const policy = await EscalationPolicy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Escalation policy not found' });
+        }
+
+        policy.set({ ...req.body, updatedAt: new Date() });
+
+        const policyError = validateEscalationPolicy(policy);
+        if (policyError) {
+            return res.status(400).json({ error: policyError });
+        }
+
+        await policy.save();
+        monitor.invalidateEscalationPolicies();
+
+        await logEvent('info', 'Escalation', `Escalation policy updated: ${policy.name}`, {
+            policyId: policy._id
+        });
+
+        res.json(policy);
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({ error: error.message });
     }
 });
 
-app.post('/api/incidents/:id/resolve', authenticateAdmin, async (req, res) => {
+app.delete('/api/escalation-policies/:id', authenticateAdmin, async (req, res) => {
     try {
-        const incident = await Incident.findById(req.params.id);
-        if (!incident) {
-            return res.status(404).json({ error: 'Incident not found' });
+        const policy = await EscalationPolicy.findById(req.params.id);
+        if (!policy) {
+            return res.status(404).json({ error: 'Escalation policy not found' });
         }
-        
-        incident.status = 'resolved';
-        incident.resolvedAt = new Date();
-        await incident.save();
-        
-        await logEvent('info', 'Incident', `Incident resolved: ${incident.title}`, {
-            incidentId: incident._id
+
+        // Running escalations stop at their next step
+        await policy.deleteOne();
+        monitor.invalidateEscalationPolicies();
+
+        await logEvent('info', 'Escalation', `Escalation policy deleted: ${policy.name}`, {
+            policyId: policy._id
         });
-        
-        res.json(incident);
+
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -1443,6 +7614,10 @@ app.post('/api/settings', authenticateAdmin, async (req, res) => {
     try {
         const updates = req.body;
         const results = [];
+
+        if ('remediation_script_dir' in updates) {
+            return res.status(400).json({ error: 'remediation_script_dir is set through the REMEDIATION_SCRIPT_DIR environment variable' });
+        }
         
         for (const [key, value] of Object.entries(updates)) {
             await setSetting(key, value);
@@ -1498,7 +7673,7 @@ app.get('/api/stats', authenticate, async (req, res) => {
         });
         
         const activeIncidents = await Incident.countDocuments({ 
-            status: 'active' 
+            status: { $in: OPEN_INCIDENT_STATUSES } 
         });
         
         res.json({
@@ -1729,12 +7904,12 @@ async function initializeSystem() {
         await initializeTelegram();
         await initializeWhatsApp();
         
+        // Check for default data, the monitor reconciles incidents against the seeded rules
+        await checkDefaultData();
+        
         // Initialize monitor
         await monitor.init();
         
-        // Check for default data
-        await checkDefaultData();
-        
         console.log('\n✅ System initialization complete!');
         console.log('🌐 Server running on port', process.env.PORT || 3000);
         console.log('📱 Telegram Bot:', telegramReady ? '✅ Ready' : '❌ Not ready');
@@ -1779,6 +7954,25 @@ async function checkDefaultData() {
             console.log('✅ Default server created');
         }
         
+        // Seed default alert rules once each, so deleted defaults stay deleted
+        const seededRules = await getSetting('default_rules_seeded', []);
+        const newRules = [];
+        for (const rule of DEFAULT_ALERT_RULES) {
+            if (seededRules.includes(rule.key)) continue;
+
+            const exists = await AlertRule.findOne({ key: rule.key });
+            if (!exists) {
+                newRules.push({ ...rule, scope: 'global', isDefault: true });
+            }
+            seededRules.push(rule.key);
+        }
+        if (newRules.length > 0) {
+            await AlertRule.insertMany(newRules);
+            monitor.invalidateRules();
+            console.log(`✅ ${newRules.length} default alert rules created`);
+        }
+        await setSetting('default_rules_seeded', seededRules, 'Default alert rules already seeded');
+        
         // Set default settings
         const defaultSettings = {
             'email_enabled': false,
@@ -1788,8 +7982,37 @@ async function checkDefaultData() {
             'notify_warning': true,
             'notify_info': false,
             'check_interval': 10,
+            'timezone': Intl.DateTimeFormat().resolvedOptions().timeZone,
+            'probe_timeout': 5000,
+            'monitor_max_concurrency': 5,
+            'monitor_jitter': 0.1,
+            'monitor_backoff_after': 3,
+            'monitor_backoff_factor': 2,
+            'monitor_backoff_max': 300,
+            'mcstatus_fallback': false,
+            'rcon_performance_interval': 5,
+            'pterodactyl_url': '',
+            'log_patterns': DEFAULT_LOG_PATTERNS,
+            'log_incident_resolve_minutes': 30,
+            'incident_repeat_minutes': 30,
+            'incident_grouping': true,
+            'incident_group_by': ['node', 'ip'],
+            'incident_group_window': 60,
+            'incident_group_lookback': 600,
+            'incident_group_types': ['server_offline'],
+            'alert_failures_to_open': 3,
+            'alert_successes_to_close': 2,
+            'flap_window': 20,
+            'flap_threshold_high': 0.5,
+            'flap_threshold_low': 0.25,
+            'history_retention_raw_days': 7,
+            'history_retention_hourly_days': 90,
+            'history_retention_daily_days': 730,
+            'change_notifications': false,
+            'change_notify_fields': ['version', 'protocol', 'motd', 'maxPlayers', 'icon'],
             'admin_email': 'admin@forexter.network',
             'admin_phone': '',
+            'telegram_admin_chats': [],
             'smtp_host': 'smtp.gmail.com',
             'smtp_port': 587,
             'smtp_user': '',
@@ -1797,6 +8020,9 @@ async function checkDefaultData() {
             'smtp_from': 'Forexter Monitor'
         };
         
+        // Replaced by the REMEDIATION_SCRIPT_DIR environment variable
+        await Setting.deleteOne({ key: 'remediation_script_dir' });
+
         for (const [key, value] of Object.entries(defaultSettings)) {
             const exists = await Setting.findOne({ key });
             if (!exists) {
@@ -1837,19 +8063,21 @@ app.use((err, req, res, next) => {
 
 // Start Server
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`\n🌐 Server started on port ${PORT}`);
-    initializeSystem();
-});
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`\n🌐 Server started on port ${PORT}`);
+        initializeSystem();
+    });
+}
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully...');
     
     // Stop monitoring
-    for (const [serverId, interval] of monitor.monitoring) {
-        clearInterval(interval);
-    }
+    monitor.scheduler.stop();
+    monitor.escalationRunner.stop();
+    monitor.correlator.stop();
     
     // Stop WhatsApp client
     if (whatsappClient) {
@@ -1867,3 +8095,8 @@ process.on('SIGTERM', async () => {
     console.log('Cleanup completed, exiting...');
     process.exit(0);
 });
+
+module.exports = {
+    selectRulesForServer,
+    evaluateRule
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const { selectRulesForServer, evaluateRule } = require('../server');
+
+const server = { _id: new mongoose.Types.ObjectId(), name: 'Survival', type: 'java', tags: [] };
+
+const globalRule = {
+    key: 'high_latency',
+    metric: 'responseTime',
+    comparator: 'gt',
+    threshold: 1000,
+    severity: 'warning',
+    title: 'High Latency',
+    scope: 'global',
+    isActive: true
+};
+
+test('a disabled server-scoped rule switches off the global rule with the same key', () => {
+    const disabledOverride = { ...globalRule, scope: 'server', serverId: server._id, isActive: false };
+
+    const rules = selectRulesForServer([globalRule, disabledOverride], server);
+    assert.deepStrictEqual(rules.map(rule => rule.key), []);
+
+    const conditions = rules.map(rule => evaluateRule(rule, server, { online: true, responseTime: 2500 }));
+    assert.ok(!conditions.some(condition => condition.type === 'high_latency' && condition.active));
+});
+
+test('the global rule still fires for other servers', () => {
+    const disabledOverride = { ...globalRule, scope: 'server', serverId: new mongoose.Types.ObjectId(), isActive: false };
+
+    const rules = selectRulesForServer([globalRule, disabledOverride], server);
+    assert.deepStrictEqual(rules, [globalRule]);
+    assert.strictEqual(evaluateRule(rules[0], server, { online: true, responseTime: 2500 }).active, true);
+});
+
+test('an inactive global rule is not selected', () => {
+    const rules = selectRulesForServer([{ ...globalRule, isActive: false }], server);
+    assert.deepStrictEqual(rules, []);
+});